@@ -1,12 +1,55 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, Download, Settings, Scissors, Calculator, FileText, Package, AlertTriangle, Box, Printer, Save, DollarSign, StickyNote } from 'lucide-react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Upload, Download, Settings, Scissors, Calculator, FileText, Package, AlertTriangle, Box, Printer, Save, DollarSign, StickyNote, ClipboardList, ListOrdered } from 'lucide-react';
 import OBJViewer3D from './OBJViewer3D';
+import { lengthUnits, DEFAULT_MODEL_UNIT, getUnitScale, detectUnits } from './units';
+import { loadModel, convertModel } from './modelLoader';
+import { groupPieces, DEFAULT_GROUP_TOLERANCE } from './pieceGrouping';
+import { MODEL_EXTENSIONS, getExtension } from './modelImport';
+import { parseCutList, CUT_LIST_COLUMNS } from './cutList';
+import { parseMTL, getLibraryFileName } from './mtlParser';
+import { suggestAssemblySteps, dropAssemblyObjects } from './assemblySteps';
+import { getGrainAxis, restoreGlueUpParent, mergePieceGroups, getStockLabel, isRemnantOfMaterial, buildWarnings, calculateEfficiency, calculateOverallEfficiency, getStockPurchases, calculateTotalCost } from './planner';
+import { runPlan, runPacking } from './planLoader';
+
+// Local storage key of the remnant inventory, shared by all projects
+const REMNANT_STORAGE_KEY = 'plankulator-remnants';
+
+// Bytes read from the start of an OBJ file to find its "# Units" comment
+const UNITS_HEADER_SIZE = 64 * 1024;
+
+// Status line of every phase of the model and plan workers
+const progressLabels = {
+  converting: 'Converting model',
+  reading: 'Reading model',
+  measuring: 'Measuring pieces',
+  orienting: 'Orienting pieces',
+  assigning: 'Choosing materials',
+  packing: 'Packing boards'
+};
 
 const OBJCuttingPlanner = () => {
-  const [objFile, setObjFile] = useState(null);
-  const [objFileContent, setObjFileContent] = useState(null);
+  // Model files of the project, each one a sub-assembly:
+  // { id, name, source, objects, unit, pieceStatement, enabled, quantity }
+  const [assemblies, setAssemblies] = useState([]);
+  const [groupTolerance, setGroupTolerance] = useState(DEFAULT_GROUP_TOLERANCE);
+  // Pieces split or merged by hand: object id -> group label
+  const [groupOverrides, setGroupOverrides] = useState({});
+  const [selectedGroups, setSelectedGroups] = useState([]);
+  // Piece group selected in the 3D view, the pieces list or the cutting plan
+  const [highlightedGroup, setHighlightedGroup] = useState(null);
+  const [viewerFocus, setViewerFocus] = useState(0);
+  const [assemblySteps, setAssemblySteps] = useState([]);
+  const [materialMapping, setMaterialMapping] = useState({});
+  const [mtlColors, setMtlColors] = useState({});
+  const [showMtlColors, setShowMtlColors] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const modelLoadRef = useRef(null);
   const [pieces, setPieces] = useState([]);
+  const [manualPieces, setManualPieces] = useState([]);
+  const [cutListText, setCutListText] = useState('');
   const [cuttingPlan, setCuttingPlan] = useState([]);
+  const [planProgress, setPlanProgress] = useState(null);
+  const planRef = useRef(null);
   const [materialSettings, setMaterialSettings] = useState([
     {
       id: 1,
@@ -15,227 +58,84 @@ const OBJCuttingPlanner = () => {
       width: 400,
       thickness: 37,
       sawKerf: 2,
-      pricePerUnit: null
+      pricePerUnit: null,
+      stockType: 'plank',
+      nesting: 'guillotine',
+      grain: 'length',
+      quantity: null,
+      extraLengths: [],
+      thicknessAllowance: 0,
+      widthAllowance: 0,
+      endTrim: 0,
+      lengthAllowance: 0
     }
   ]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisComplete, setAnalysisComplete] = useState(false);
   const [orientationWarnings, setOrientationWarnings] = useState([]);
   const [projectNotes, setProjectNotes] = useState('');
-
-  // Parse OBJ file
-  const parseOBJFile = (content) => {
-    const lines = content.split('\n');
-    let objects = [];
-    let currentObject = null;
-
-    for (let line of lines) {
-      line = line.trim();
-      
-      if (line.startsWith('o ')) {
-        const objectName = line.substring(2);
-        currentObject = {
-          name: objectName,
-          vertices: []
-        };
-        objects.push(currentObject);
-      } else if (line.startsWith('v ') && currentObject) {
-        const coords = line.substring(2).split(' ').map(n => parseFloat(n));
-        currentObject.vertices.push(coords);
-      }
+  const [packingStrategy, setPackingStrategy] = useState('exact');
+  const [strategyComparison, setStrategyComparison] = useState([]);
+  const [remnants, setRemnants] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(REMNANT_STORAGE_KEY)) || [];
+    } catch (error) {
+      return [];
     }
+  });
+  const [remnantMinSize, setRemnantMinSize] = useState({ length: 300, width: 50 });
+  const [glueUp, setGlueUp] = useState({ enabled: false, oversize: 3 });
+  const [planConfirmed, setPlanConfirmed] = useState(false);
 
-    return objects;
-  };
+  // Keep the remnant rack between sessions and projects
+  useEffect(() => {
+    localStorage.setItem(REMNANT_STORAGE_KEY, JSON.stringify(remnants));
+  }, [remnants]);
 
-  // Calculate dimensions for each object
-  const calculateDimensions = (vertices) => {
-    if (vertices.length === 0) return null;
-    
-    let minX = Math.min(...vertices.map(v => v[0]));
-    let maxX = Math.max(...vertices.map(v => v[0]));
-    let minY = Math.min(...vertices.map(v => v[1]));
-    let maxY = Math.max(...vertices.map(v => v[1]));
-    let minZ = Math.min(...vertices.map(v => v[2]));
-    let maxZ = Math.max(...vertices.map(v => v[2]));
-    
-    return {
-      x: Math.abs(maxX - minX),
-      y: Math.abs(maxY - minY), 
-      z: Math.abs(maxZ - minZ)
-    };
-  };
+  // Project name for labels and printouts: the names of its sub-assemblies
+  const getProjectName = () => assemblies.map(a => a.name).join(', ');
 
-  // Smart piece orientation with automatic material selection
-  const optimizePieceOrientation = (pieces, materials) => {
-    let warnings = [];
-    
-    
-    return pieces.map(piece => {
-      const { length, width, thickness } = piece;
-      const originalDims = [length, width, thickness];
-      
-      
-      let bestMatch = null;
-      let bestOrientation = null;
-      let bestScore = Infinity;
-      
-      // Try each material to find the best fit
-      for (const material of materials) {
-        
-        // Find all possible orientations that could fit in this material
-        const orientations = [
-          { cut: length, width: width, thick: thickness, label: `${length}(cut) × ${width} × ${thickness}` },
-          { cut: length, width: thickness, thick: width, label: `${length}(cut) × ${thickness} × ${width}` },
-          { cut: width, width: length, thick: thickness, label: `${width}(cut) × ${length} × ${thickness}` },
-          { cut: width, width: thickness, thick: length, label: `${width}(cut) × ${thickness} × ${length}` },
-          { cut: thickness, width: length, thick: width, label: `${thickness}(cut) × ${length} × ${width}` },
-          { cut: thickness, width: width, thick: length, label: `${thickness}(cut) × ${width} × ${length}` }
-        ];
-        
-        // Filter orientations that physically fit in this material
-        const validOrientations = orientations.filter(orient => {
-          const fits = orient.cut <= material.length && 
-                      orient.width <= material.width && 
-                      orient.thick <= material.thickness;
-          return fits;
-        });
-        
-        
-        if (validOrientations.length > 0) {
-          // Choose the orientation that minimizes cutting length for this material
-          const bestOrientationForMaterial = validOrientations.reduce((best, current) => 
-            current.cut < best.cut ? current : best
-          );
-          
-          // Calculate efficiency score
-          const cuttingLength = bestOrientationForMaterial.cut;
-          const thicknessWaste = material.thickness - bestOrientationForMaterial.thick;
-          const widthWaste = material.width - bestOrientationForMaterial.width;
-          
-          // Weighted score: heavily favor better thickness fit
-          const score = cuttingLength + (thicknessWaste * 100) + (widthWaste * 0.1);
-          
-          
-          // If this is the best score so far, use this material
-          if (score < bestScore) {
-            bestMatch = material;
-            bestOrientation = bestOrientationForMaterial;
-            bestScore = score;
-          }
-        }
-      }
-      
-      if (!bestMatch) {
-        warnings.push({
-          piece: piece.name,
-          dims: `${length} × ${width} × ${thickness}mm`,
-          issue: `Cannot fit in any available material`
-        });
-        
-        return {
-          ...piece,
-          cuttingLength: length,
-          finalWidth: width,
-          finalThickness: thickness,
-          orientation: 'ERROR',
-          canFit: false,
-          material: null,
-          originalDims
-        };
-      }
-      
-      
-      return {
-        ...piece,
-        cuttingLength: bestOrientation.cut,
-        finalWidth: bestOrientation.width,
-        finalThickness: bestOrientation.thick,
-        orientation: bestOrientation.label,
-        canFit: true,
-        material: bestMatch,
-        originalDims
-      };
-    });
+  // Add a remnant to the rack by hand
+  const addRemnant = () => {
+    const material = materialSettings[0];
+    setRemnants(prev => [...prev, {
+      id: Math.max(0, ...prev.map(r => r.id)) + 1,
+      materialName: material.name,
+      thickness: material.thickness,
+      length: 1000,
+      width: material.width,
+      note: ''
+    }]);
   };
 
-  // Generate cutting plan with smart orientation and multiple materials
-  const generateCuttingPlan = (pieces, materials) => {
-    // Group pieces by material
-    const piecesByMaterial = {};
-    pieces.filter(p => p.canFit).forEach(piece => {
-      const materialId = piece.material.id;
-      if (!piecesByMaterial[materialId]) {
-        piecesByMaterial[materialId] = {
-          material: piece.material,
-          pieces: []
-        };
-      }
-      piecesByMaterial[materialId].pieces.push(piece);
-    });
+  // Update a remnant on the rack
+  const updateRemnant = (id, changes) => {
+    setRemnants(prev => prev.map(r => r.id === id ? { ...r, ...changes } : r));
+  };
 
-    let allPlanks = [];
-    let globalPlankNumber = 1;
-
-    // Generate cutting plan for each material type
-    Object.values(piecesByMaterial).forEach(materialGroup => {
-      const { material, pieces: materialPieces } = materialGroup;
-      let remainingPieces = materialPieces.map(p => ({...p}));
-      
-      // Sort pieces by cutting length descending for better packing
-      remainingPieces.sort((a, b) => b.cuttingLength - a.cuttingLength);
-
-      while (remainingPieces.some(p => p.count > 0)) {
-        let currentPlank = {
-          number: globalPlankNumber++,
-          material: material,
-          pieces: [],
-          usedLength: 0,
-          wasteLength: 0,
-          materialDims: `${material.length} × ${material.width} × ${material.thickness}mm`
-        };
-        
-        let remainingLength = material.length;
-        
-        // Pack pieces into this plank
-        let foundPiece = true;
-        while (foundPiece && remainingLength > 0) {
-          foundPiece = false;
-          
-          // Find a piece that fits (including kerf if not first piece)
-          for (let piece of remainingPieces) {
-            let neededLength = piece.cuttingLength;
-            if (currentPlank.pieces.length > 0) {
-              neededLength += material.sawKerf;
-            }
-            
-            if (piece.count > 0 && neededLength <= remainingLength) {
-              currentPlank.pieces.push({
-                name: piece.name,
-                cuttingLength: piece.cuttingLength,
-                finalWidth: piece.finalWidth,
-                finalThickness: piece.finalThickness,
-                orientation: piece.orientation,
-                originalDims: piece.originalDims,
-                material: piece.material,
-                id: `${piece.name}-${currentPlank.pieces.length + 1}`
-              });
-              
-              currentPlank.usedLength += neededLength;
-              remainingLength -= neededLength;
-              piece.count--;
-              foundPiece = true;
-              break;
-            }
-          }
-        }
-        
-        currentPlank.wasteLength = remainingLength;
-        allPlanks.push(currentPlank);
-      }
-    });
+  // Remove a remnant from the rack
+  const removeRemnant = (id) => {
+    setRemnants(prev => prev.filter(r => r.id !== id));
+  };
 
-    return allPlanks;
+  // Confirm the current plan as cut: remnants it used leave the rack and
+  // its usable offcuts are put on the rack
+  const confirmPlanAsCut = () => {
+    const usedRemnantIds = new Set(cuttingPlan.map(plank => plank.remnantId).filter(Boolean));
+    let nextId = Math.max(0, ...remnants.map(r => r.id)) + 1;
+    const newRemnants = cuttingPlan.flatMap(plank => plank.offcuts
+      .filter(offcut => offcut.length >= remnantMinSize.length && offcut.width >= remnantMinSize.width)
+      .map(offcut => ({
+        id: nextId++,
+        materialName: plank.material.name,
+        thickness: plank.material.thickness,
+        length: Math.floor(offcut.length),
+        width: Math.floor(offcut.width),
+        note: `${getProjectName() || 'Project'}, ${getStockLabel(plank.material).toLowerCase()} ${plank.number}`
+      })));
+    
+    setRemnants([...remnants.filter(r => !usedRemnantIds.has(r.id)), ...newRemnants]);
+    setPlanConfirmed(true);
   };
 
   // Add new material
@@ -248,7 +148,16 @@ const OBJCuttingPlanner = () => {
       width: 400,
       thickness: 37,
       sawKerf: 2,
-      pricePerUnit: null
+      pricePerUnit: null,
+      stockType: 'plank',
+      nesting: 'guillotine',
+      grain: 'length',
+      quantity: null,
+      extraLengths: [],
+      thicknessAllowance: 0,
+      widthAllowance: 0,
+      endTrim: 0,
+      lengthAllowance: 0
     }]);
   };
 
@@ -256,6 +165,10 @@ const OBJCuttingPlanner = () => {
   const removeMaterial = (id) => {
     if (materialSettings.length > 1) {
       setMaterialSettings(prev => prev.filter(m => m.id !== id));
+      // Model materials mapped to this stock go back to automatic selection
+      setMaterialMapping(prev => Object.fromEntries(
+        Object.entries(prev).map(([name, materialId]) => [name, materialId === id ? null : materialId])
+      ));
     }
   };
 
@@ -266,85 +179,539 @@ const OBJCuttingPlanner = () => {
     ));
   };
 
-  // Handle file upload
-  const handleFileUpload = async (event) => {
+  // Extra purchasable lengths of a material, each with its own price
+  const addExtraLength = (id) => {
+    setMaterialSettings(prev => prev.map(m => 
+      m.id === id ? {...m, extraLengths: [...(m.extraLengths || []), { length: Math.round(m.length / 2), price: null }]} : m
+    ));
+  };
+
+  const updateExtraLength = (id, index, field, value) => {
+    setMaterialSettings(prev => prev.map(m => 
+      m.id === id ? {...m, extraLengths: m.extraLengths.map((stock, i) => i === index ? {...stock, [field]: value} : stock)} : m
+    ));
+  };
+
+  const removeExtraLength = (id, index) => {
+    setMaterialSettings(prev => prev.map(m => 
+      m.id === id ? {...m, extraLengths: m.extraLengths.filter((_, i) => i !== index)} : m
+    ));
+  };
+
+  // Piece groups of the manual cut list. Rows with a material name are only cut
+  // from that stock; the grain runs along the entered length unless it was
+  // changed in the pieces list.
+  const getManualGroups = (rows, materials, previousGroups = []) => rows
+    .filter(row => row.length > 0 && row.width > 0 && row.thickness > 0 && row.quantity > 0)
+    .map(row => {
+      const groupId = `manual-${row.id}`;
+      const previous = previousGroups.find(p => p.groupId === groupId);
+      const material = findMaterialByName(row.material, materials);
+      const name = row.name || `Part ${row.id}`;
+      return {
+        name,
+        length: row.length,
+        width: row.width,
+        thickness: row.thickness,
+        alignedDims: null,
+        objMaterial: null,
+        forcedMaterialId: material ? material.id : null,
+        shapeIssues: [],
+        manual: true,
+        grain: previous?.grain || 'x',
+        groupId,
+        count: row.quantity,
+        pieces: Array(row.quantity).fill(name)
+      };
+    });
+
+  // Stock row with the given name (case-insensitive), or null
+  const findMaterialByName = (name, materials = materialSettings) => {
+    const wanted = (name || '').trim().toLowerCase();
+    return wanted ? materials.find(m => m.name.trim().toLowerCase() === wanted) || null : null;
+  };
+
+  // Wait for a task of the plan worker. A task that is still running is
+  // cancelled, so only the latest plan is shown. Resolves to the result, or
+  // null when the task was cancelled or failed.
+  const runPlanTask = async (run, phase) => {
+    if (planRef.current) planRef.current.cancel();
+    planRef.current = run;
+    setPlanProgress({ phase, progress: 0 });
+    try {
+      return await run.promise;
+    } catch (error) {
+      if (error.name !== 'AbortError') alert(`Error calculating the cutting plan: ${error.message}`);
+      return null;
+    } finally {
+      if (planRef.current === run) {
+        planRef.current = null;
+        setPlanProgress(null);
+      }
+    }
+  };
+
+  // Orient pieces, assign materials and pack them into a cutting plan (in the
+  // plan worker). Returns whether the plan was stored.
+  const recalculatePlan = async (sourcePieces, materials = materialSettings, glueUpOptions = glueUp, manualRows = manualPieces) => {
+    // Pieces from the model plus the rows of the manual cut list. Re-planning
+    // after a model change only passes model pieces, so the grain set on cut
+    // list pieces also comes from the current plan.
+    const groups = [
+      ...mergePieceGroups(sourcePieces.filter(p => !p.manual)).map(restoreGlueUpParent),
+      ...getManualGroups(manualRows, materials, [...sourcePieces, ...pieces])
+    ];
+    const result = await runPlanTask(runPlan({ groups, materials, glueUp: glueUpOptions, remnants }, setPlanProgress), 'orienting');
+    if (!result) return false;
+    
+    // Plans were made with every strategy, keep the selected one
+    const { pieces: optimizedPieces, comparison } = result;
+    const selected = comparison.find(row => row.strategy === packingStrategy);
+    setOrientationWarnings(buildWarnings(optimizedPieces, selected.outOfStock));
+    setStrategyComparison(comparison);
+    setPieces(optimizedPieces);
+    setCuttingPlan(selected.plan);
+    setPlanConfirmed(false);
+    return true;
+  };
+
+  // Map a material name of the model to a stock row (null = choose automatically) and re-plan
+  const updateMaterialMapping = (objMaterial, materialId) => {
+    setMaterialMapping(prev => ({ ...prev, [objMaterial]: materialId }));
+    recalculatePlan(pieces.map(p =>
+      p.objMaterial === objMaterial ? { ...p, forcedMaterialId: materialId } : p
+    ));
+  };
+
+  // Material libraries (mtllib) named by the OBJ files of the project
+  const getMaterialLibraries = () => [...new Set(assemblies.flatMap(a => a.materialLibraries || []))];
+
+  // Read the material colors of MTL files and add them to the model colors.
+  // Returns false when the files hold no colors.
+  const readMtlColors = async (files) => {
+    const colors = {};
+    for (const file of files) Object.assign(colors, parseMTL(await file.text()));
+    if (Object.keys(colors).length === 0) return false;
+    setMtlColors(prev => ({ ...prev, ...colors }));
+    setShowMtlColors(true);
+    return true;
+  };
+
+  // Load the colors of the model materials from the MTL files the model names
+  const handleMtlUpload = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = '';
+    if (files.length === 0) return;
+    const libraries = getMaterialLibraries().map(getLibraryFileName);
+    const unnamed = files.filter(f => !libraries.includes(f.name.toLowerCase()));
+    if (libraries.length > 0 && unnamed.length > 0 && !confirm(
+      `The model uses ${getMaterialLibraries().join(', ')}, not ${unnamed.map(f => f.name).join(', ')}. Load the colors anyway?`
+    )) return;
+    if (!await readMtlColors(files)) alert('No material colors (Kd) found in this MTL file');
+  };
+
+  // Material names used in the model with their piece counts
+  const getModelMaterials = () => {
+    const counts = {};
+    pieces.filter(p => p.objMaterial).forEach(p => {
+      counts[p.objMaterial] = (counts[p.objMaterial] || 0) + (p.glueUp ? p.glueUp.source.count : p.count);
+    });
+    return Object.entries(counts).map(([name, count]) => ({ name, count }));
+  };
+
+  // Viewer colors from the MTL file, by object id (by object name for projects
+  // saved before sub-assemblies)
+  const getMtlObjectColors = () => {
+    const colors = {};
+    pieces.filter(p => p.objMaterial && mtlColors[p.objMaterial]).forEach(p => {
+      (p.objectIds || p.pieces || []).forEach(key => {
+        colors[key] = mtlColors[p.objMaterial];
+      });
+    });
+    return colors;
+  };
+
+  // Replace the manual cut list and re-plan
+  const updateManualPieces = (rows) => {
+    setManualPieces(rows);
+    recalculatePlan(pieces, materialSettings, glueUp, rows).then(stored => {
+      if (stored) setAnalysisComplete(true);
+    });
+  };
+
+  // Add an empty cut list row (planned once its sizes are filled in)
+  const addManualPiece = () => {
+    const newId = Math.max(0, ...manualPieces.map(row => row.id)) + 1;
+    setManualPieces(prev => [...prev, {
+      id: newId,
+      name: `Part ${newId}`,
+      length: 0,
+      width: 0,
+      thickness: 0,
+      quantity: 1,
+      material: ''
+    }]);
+  };
+
+  // Edit a cut list row; the plan is updated with "Update Plan"
+  const updateManualPiece = (id, field, value) => {
+    setManualPieces(prev => prev.map(row =>
+      row.id === id ? { ...row, [field]: value } : row
+    ));
+  };
+
+  const removeManualPiece = (id) => {
+    updateManualPieces(manualPieces.filter(row => row.id !== id));
+  };
+
+  // Add the rows of a pasted or uploaded cut list
+  const importCutList = (text) => {
+    const { rows, skipped } = parseCutList(text);
+    if (rows.length === 0) {
+      alert(`No pieces found. Expected one piece per line: ${CUT_LIST_COLUMNS.join(', ')} (material is optional)`);
+      return false;
+    }
+    const firstId = Math.max(0, ...manualPieces.map(row => row.id)) + 1;
+    updateManualPieces([...manualPieces, ...rows.map((row, i) => ({ ...row, id: firstId + i }))]);
+    if (skipped > 0) {
+      alert(`${skipped} line${skipped === 1 ? ' was' : 's were'} skipped because a size or the quantity is missing`);
+    }
+    return true;
+  };
+
+  // Import a CSV cut list file
+  const handleCutListUpload = async (event) => {
     const file = event.target.files[0];
-    if (!file || !file.name.toLowerCase().endsWith('.obj')) {
-      alert('Please upload a valid OBJ file');
+    if (!file) return;
+    importCutList(await file.text());
+    event.target.value = '';
+  };
+
+  // Change the glue-up settings and re-plan
+  const updateGlueUp = (field, value) => {
+    const next = { ...glueUp, [field]: value };
+    setGlueUp(next);
+    if (pieces.length > 0) recalculatePlan(pieces, materialSettings, next);
+  };
+
+  // Change the grain requirement of a piece group and re-plan
+  const updatePieceGrain = (piece, grain) => {
+    recalculatePlan(pieces.map(p =>
+      p === piece || (piece.groupId && p.groupId === piece.groupId) ? { ...p, grain } : p
+    ));
+  };
+
+  // Wait for a load of the model or import worker. A load that is still running
+  // is cancelled first, so only the latest file is shown.
+  const runWorkerLoad = async (load) => {
+    if (modelLoadRef.current) modelLoadRef.current.cancel();
+    modelLoadRef.current = load;
+    setIsAnalyzing(true);
+    setLoadProgress(null);
+    try {
+      return await load.promise;
+    } finally {
+      if (modelLoadRef.current === load) {
+        modelLoadRef.current = null;
+        setIsAnalyzing(false);
+        setLoadProgress(null);
+      }
+    }
+  };
+
+  // Parse and measure a model in the worker
+  const runModelLoad = (source, statement) => runWorkerLoad(loadModel(source, statement, setLoadProgress));
+
+  // Convert STL, glTF/GLB and 3MF files to OBJ text in the worker
+  const runModelConversion = (files) => runWorkerLoad(convertModel(files, setLoadProgress));
+
+  // Stop reading a model or calculating a plan (the previous model and plan stay)
+  const cancelModelLoad = () => {
+    if (modelLoadRef.current) modelLoadRef.current.cancel();
+    if (planRef.current) planRef.current.cancel();
+  };
+
+  // Handle file upload. Every OBJ file becomes a sub-assembly of the project;
+  // STL/glTF/GLB/3MF files selected together are converted to one OBJ model
+  // (one piece per file or mesh) and form one sub-assembly. MTL files selected
+  // with the OBJ files give the colors of the materials they name.
+  const handleFileUpload = async (event) => {
+    const selected = Array.from(event.target.files);
+    event.target.value = '';
+    const mtlFiles = selected.filter(f => getExtension(f.name) === 'mtl');
+    const files = selected.filter(f => getExtension(f.name) !== 'mtl');
+    if (files.length === 0 || files.some(f => !MODEL_EXTENSIONS.includes(`.${getExtension(f.name)}`))) {
+      alert('Please upload OBJ, STL, glTF/GLB or 3MF files');
       return;
     }
+    const objFiles = files.filter(f => getExtension(f.name) === 'obj');
+    const otherFiles = files.filter(f => getExtension(f.name) !== 'obj');
+    const uploads = [
+      ...objFiles.map(file => ({ name: file.name.replace(/\.[^.]+$/, ''), files: [file] })),
+      ...(otherFiles.length > 0
+        ? [{ name: otherFiles.map(f => f.name.replace(/\.[^.]+$/, '')).join(', '), files: otherFiles }]
+        : [])
+    ];
 
-    setObjFile(file);
     setIsAnalyzing(true);
-    setAnalysisComplete(false);
+    const added = [];
+    let nextId = Math.max(0, ...assemblies.map(a => a.id)) + 1;
+    for (const upload of uploads) {
+      const isOBJ = getExtension(upload.files[0].name) === 'obj';
+      try {
+        // OBJ files are read by the worker; other formats are converted to OBJ text first
+        const source = isOBJ ? upload.files[0] : await runModelConversion(upload.files);
+        
+        // Use the units the exporter wrote into the file, if any (the comment is in
+        // the file header, so large files are not read here), and split it into
+        // pieces by objects (or by groups when it has no objects)
+        const header = isOBJ ? await upload.files[0].slice(0, UNITS_HEADER_SIZE).text() : source;
+        const model = await runModelLoad(source, null);
+        added.push({
+          id: nextId++,
+          name: upload.name,
+          source,
+          objects: model.objects,
+          unit: detectUnits(header) || DEFAULT_MODEL_UNIT,
+          pieceStatement: model.pieceStatement,
+          materialLibraries: model.materialLibraries,
+          enabled: true,
+          quantity: 1
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') break;
+        alert(isOBJ
+          ? `Error processing ${upload.name}. Please check the file format.`
+          : `Error importing model: ${error.message}`);
+      }
+    }
+    if (!modelLoadRef.current) setIsAnalyzing(false);
+    if (added.length === 0) return;
+
+    await readMtlColors(mtlFiles);
+
+    const next = [...assemblies, ...added];
+    setAssemblies(next);
+    setSelectedGroups([]);
     setOrientationWarnings([]);
-    
+    analyzeModel(next);
+  };
+
+  // Change a sub-assembly (name, units, quantity, on/off) and re-plan
+  const updateAssembly = (id, changes) => {
+    const next = assemblies.map(a => a.id === id ? { ...a, ...changes } : a);
+    setAssemblies(next);
+    // The name is only a label
+    if (Object.keys(changes).some(field => field !== 'name')) analyzeModel(next);
+  };
+
+  // Split a sub-assembly into pieces by objects or by groups: the file is parsed again
+  const updateAssemblyStatement = async (id, statement) => {
+    const assembly = assemblies.find(a => a.id === id);
+    try {
+      const model = await runModelLoad(assembly.source, statement);
+      // Other pieces, so groups split or merged by hand no longer apply to this file
+      const overrides = Object.fromEntries(Object.entries(groupOverrides)
+        .filter(([objectId]) => !objectId.startsWith(`${id}:`)));
+      const next = assemblies.map(a => a.id === id
+        ? { ...a, pieceStatement: statement, materialLibraries: model.materialLibraries, objects: model.objects }
+        : a);
+      setAssemblies(next);
+      setGroupOverrides(overrides);
+      setSelectedGroups([]);
+      setAssemblySteps(prev => dropAssemblyObjects(prev, id));
+      analyzeModel(next, groupTolerance, overrides);
+    } catch (error) {
+      if (error.name !== 'AbortError') alert('Error processing OBJ file. Please check the file format.');
+    }
+  };
+
+  // Remove a sub-assembly from the project
+  const removeAssembly = (id) => {
+    const next = assemblies.filter(a => a.id !== id);
+    const overrides = Object.fromEntries(Object.entries(groupOverrides)
+      .filter(([objectId]) => !objectId.startsWith(`${id}:`)));
+    setAssemblies(next);
+    setGroupOverrides(overrides);
+    setSelectedGroups([]);
+    setAssemblySteps(prev => dropAssemblyObjects(prev, id));
+    analyzeModel(next, groupTolerance, overrides);
+  };
+
+  // Turn the measured objects of the active sub-assemblies into piece groups and
+  // plan the cuts (together with the manual cut list)
+  const analyzeModel = (assemblyList = assemblies, tolerance = groupTolerance, overrides = groupOverrides) => {
     // Reset color assignments for new file
     window.pieceColorMap = new Map();
     window.nextColorIndex = 0;
-
-    try {
-      const content = await file.text();
-      setObjFileContent(content); // Store the OBJ content for 3D viewer
-      const objects = parseOBJFile(content);
-      
-      // Process each object
-      let allPieces = [];
-      let pieceGroups = {};
-
-      objects.forEach((obj, i) => {
-        const dims = calculateDimensions(obj.vertices);
-        if (dims) {
-          const xMM = Math.round(dims.x * 1000 * 10) / 10;
-          const yMM = Math.round(dims.y * 1000 * 10) / 10;
-          const zMM = Math.round(dims.z * 1000 * 10) / 10;
-          
-          const piece = {
+    
+    // Process each object of every active sub-assembly, counted once per copy of
+    // the sub-assembly that is built
+    const modelPieces = assemblyList
+      .filter(a => a.enabled && a.quantity > 0 && a.objects)
+      .flatMap(assembly => {
+        const unitScale = getUnitScale(assembly.unit);
+        const toMM = (size) => Math.round(size * unitScale * 10) / 10;
+        return assembly.objects.map((obj, objectIndex) => {
+          const { dims } = obj;
+          return {
             name: obj.name,
-            length: xMM,
-            width: yMM, 
-            thickness: zMM
+            objectId: `${assembly.id}:${objectIndex}`,
+            assembly: assembly.name,
+            quantity: assembly.quantity,
+            length: toMM(dims.x),
+            width: toMM(dims.y),
+            thickness: toMM(dims.z),
+            // Boards rotated in the model also keep their axis-aligned size for reference
+            alignedDims: dims.rotated
+              ? [dims.aligned.x, dims.aligned.y, dims.aligned.z].map(toMM)
+              : null,
+            // Material name from the model (usemtl), optionally mapped to a stock row
+            objMaterial: obj.materialName,
+            forcedMaterialId: obj.materialName ? materialMapping[obj.materialName] ?? null : null,
+            shapeIssues: obj.shapeIssues
           };
-          
-          allPieces.push(piece);
-          
-          // Group similar pieces
-          const key = `${piece.length} × ${piece.width} × ${piece.thickness}`;
-          if (!pieceGroups[key]) {
-            pieceGroups[key] = {
-              ...piece,
-              count: 0,
-              pieces: []
-            };
-          }
-          pieceGroups[key].count++;
-          pieceGroups[key].pieces.push(piece.name);
-        }
+        });
       });
 
-      // Smart orientation optimization with multiple materials
-      const groupsArray = Object.values(pieceGroups);
-      const optimizedPieces = optimizePieceOrientation(groupsArray, materialSettings);
-      
-      // Store warnings
-      const warnings = optimizedPieces.filter(p => !p.canFit).map(p => ({
-        piece: p.name,
-        dims: `${p.length} × ${p.width} × ${p.thickness}mm`,
-        issue: p.orientation === 'ERROR' ? 'Cannot fit in any available material' : 'Unknown orientation issue'
-      }));
-      setOrientationWarnings(warnings);
-      
-      // Generate cutting plan
-      const plan = generateCuttingPlan(optimizedPieces, materialSettings);
-      
-      setPieces(optimizedPieces);
-      setCuttingPlan(plan);
-      setAnalysisComplete(true);
-    } catch (error) {
-      alert('Error processing OBJ file. Please check the file format.');
-    } finally {
-      setIsAnalyzing(false);
-    }
+    // Group identical pieces in any orientation, within the grouping tolerance
+    // (pieces with different model materials stay apart)
+    const pieceGroups = groupPieces(modelPieces, tolerance, overrides);
+
+    // Smart orientation optimization and cutting plan
+    recalculatePlan(pieceGroups).then(stored => {
+      if (stored) setAnalysisComplete(true);
+    });
+  };
+
+  // Change the grouping tolerance and group the model pieces again
+  const updateGroupTolerance = (tolerance) => {
+    setGroupTolerance(tolerance);
+    if (assemblies.length > 0) analyzeModel(assemblies, tolerance);
+  };
+
+  // Split or merge groups by hand and group the model pieces again
+  const updateGroupOverrides = (overrides) => {
+    setGroupOverrides(overrides);
+    setSelectedGroups([]);
+    if (assemblies.length > 0) analyzeModel(assemblies, groupTolerance, overrides);
+  };
+
+  // Model objects of a group (a group may be listed once per material it is cut from)
+  const getGroupObjectIds = (groupId) => [...new Set(pieces
+    .filter(p => p.groupId === groupId)
+    .flatMap(p => p.objectIds || []))];
+
+  // Split a group into one group per model object
+  const splitPieceGroup = (groupId) => {
+    const next = { ...groupOverrides };
+    getGroupObjectIds(groupId).forEach(objectId => { next[objectId] = `split-${objectId}`; });
+    updateGroupOverrides(next);
+  };
+
+  // Merge the selected groups into one (cut at the largest size of its pieces)
+  const mergeSelectedGroups = () => {
+    const objectIds = selectedGroups.flatMap(getGroupObjectIds);
+    if (objectIds.length === 0) return;
+    const label = `merge-${objectIds[0]}`;
+    const next = { ...groupOverrides };
+    objectIds.forEach(objectId => { next[objectId] = label; });
+    updateGroupOverrides(next);
+  };
+
+  const toggleGroupSelection = (groupId) => {
+    setSelectedGroups(prev => prev.includes(groupId)
+      ? prev.filter(id => id !== groupId)
+      : [...prev, groupId]);
+  };
+
+  // Select a piece group everywhere (clicking it again clears the selection).
+  // With `focusViewer` the 3D view also frames its model objects.
+  const selectPieceGroup = (groupId, focusViewer = false) => {
+    const selected = groupId && groupId !== highlightedGroup ? groupId : null;
+    setHighlightedGroup(selected);
+    if (selected && focusViewer) setViewerFocus(prev => prev + 1);
+  };
+
+  // Piece group a model object belongs to
+  const getObjectPiece = (objectId) => pieces.find(p => p.objectIds && p.objectIds.includes(objectId));
+
+  // A model object was clicked in the 3D view
+  const selectModelObject = (objectId) => {
+    const group = getObjectPiece(objectId);
+    selectPieceGroup(group ? group.groupId : null);
+  };
+
+  // Tooltip lines of a model object in the 3D view: name, final size and the
+  // planks its group is cut from
+  const describeObject = (objectId) => {
+    const lines = [getObjectLabel(objectId)];
+    const group = getObjectPiece(objectId);
+    if (!group) return lines;
+    lines.push(group.canFit
+      ? `Final: ${group.cuttingLength}×${group.finalWidth}×${group.finalThickness}mm`
+      : `${group.originalDims.join('×')}mm, does not fit`);
+    const planks = cuttingPlan.filter(plank => plank.pieces.some(p => p.groupId === group.groupId));
+    lines.push(planks.length > 0
+      ? `${getStockLabel(planks[0].material)} ${planks.map(plank => plank.number).join(', ')}`
+      : 'Not in the cutting plan');
+    return lines;
+  };
+
+  // Suggest assembly steps from the bottom of the model to the top (replaces the current steps)
+  const suggestSteps = () => {
+    setAssemblySteps(suggestAssemblySteps(assemblies.filter(a => a.enabled && a.objects)));
+  };
+
+  const updateAssemblyStep = (id, changes) => {
+    setAssemblySteps(prev => prev.map(step => step.id === id ? { ...step, ...changes } : step));
+  };
+
+  // Move a step up (-1) or down (+1) in the order
+  const moveAssemblyStep = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= assemblySteps.length) return;
+    const next = [...assemblySteps];
+    [next[index], next[target]] = [next[target], next[index]];
+    setAssemblySteps(next);
+  };
+
+  const removeAssemblyStep = (id) => {
+    setAssemblySteps(prev => prev.filter(step => step.id !== id));
+  };
+
+  // Move one object to another step; steps that become empty are dropped
+  const moveObjectToStep = (objectId, stepId) => {
+    setAssemblySteps(prev => prev
+      .map(step => ({
+        ...step,
+        objectIds: step.id === stepId
+          ? [...step.objectIds.filter(id => id !== objectId), objectId]
+          : step.objectIds.filter(id => id !== objectId)
+      }))
+      .filter(step => step.objectIds.length > 0));
+  };
+
+  // Objects of the active sub-assemblies that are not in any step
+  const getUnassignedObjectIds = () => {
+    const assigned = new Set(assemblySteps.flatMap(step => step.objectIds));
+    return assemblies
+      .filter(a => a.enabled && a.objects)
+      .flatMap(a => a.objects.map((object, index) => `${a.id}:${index}`))
+      .filter(objectId => !assigned.has(objectId));
+  };
+
+  const addAssemblyStep = (objectIds) => {
+    const id = Math.max(0, ...assemblySteps.map(step => step.id)) + 1;
+    setAssemblySteps(prev => [...prev, { id, title: `Step ${prev.length + 1}`, objectIds }]);
+  };
+
+  // Rough cut size of a piece, or null when its material has no milling allowances
+  const formatRoughDims = (piece) => {
+    if (piece.roughLength === undefined) return null;
+    if (piece.roughLength === piece.cuttingLength && piece.roughWidth === piece.finalWidth &&
+        piece.roughThickness === piece.finalThickness) return null;
+    return `${piece.roughLength}×${piece.roughWidth}×${piece.roughThickness}`;
   };
 
   // Get piece color based on dimensions (consistent coloring for identical pieces)
@@ -409,47 +776,74 @@ const OBJCuttingPlanner = () => {
     return color;
   };
 
-  // Calculate plank efficiency
-  const calculateEfficiency = (plank, plankLength) => {
-    return ((plank.usedLength / plankLength) * 100).toFixed(1);
+  // Glue-up parts of a plan grouped by their parent piece, with the planks they are cut from
+  const getGlueUpSummary = (plan = cuttingPlan) => {
+    const byParent = {};
+    plan.forEach(plank => plank.pieces.filter(piece => piece.glueUp).forEach(piece => {
+      const { parent, parentDims, layers, strips } = piece.glueUp;
+      if (!byParent[parent]) {
+        byParent[parent] = {
+          parent,
+          parentDims,
+          layers,
+          strips,
+          partDims: `${piece.cuttingLength}×${piece.finalWidth}×${piece.finalThickness}`,
+          parts: 0,
+          planks: {}
+        };
+      }
+      byParent[parent].parts++;
+      byParent[parent].planks[plank.number] = (byParent[parent].planks[plank.number] || 0) + 1;
+    }));
+    return Object.values(byParent).map(glueUp => ({
+      ...glueUp,
+      layout: [
+        glueUp.layers > 1 ? `${glueUp.layers} layers` : null,
+        glueUp.strips > 1 ? `${glueUp.strips} strips` : null
+      ].filter(Boolean).join(' × '),
+      source: Object.entries(glueUp.planks).map(([number, count]) => `#${number} (${count})`).join(', ')
+    }));
   };
 
-  // Calculate total cost
-  const calculateTotalCost = () => {
-    if (!cuttingPlan || cuttingPlan.length === 0) return null;
-    
-    let totalCost = 0;
-    let hasAnyPrice = false;
-    
-    // Group planks by material and count
-    const materialCounts = {};
-    cuttingPlan.forEach(plank => {
-      const materialId = plank.material.id;
-      materialCounts[materialId] = (materialCounts[materialId] || 0) + 1;
-    });
-    
-    // Calculate cost for each material
-    Object.entries(materialCounts).forEach(([materialId, count]) => {
-      const material = materialSettings.find(m => m.id === parseInt(materialId));
-      if (material && material.pricePerUnit !== null && material.pricePerUnit > 0) {
-        totalCost += material.pricePerUnit * count;
-        hasAnyPrice = true;
-      }
-    });
-    
-    return hasAnyPrice ? { total: totalCost, counts: materialCounts } : null;
+  // Switch to the plan of another packing strategy
+  const selectPackingStrategy = (row) => {
+    setPackingStrategy(row.strategy);
+    setCuttingPlan(row.plan);
+    setOrientationWarnings(buildWarnings(pieces, row.outOfStock));
+    setPlanConfirmed(false);
   };
 
   // Save project to JSON
-  const saveProject = () => {
+  const saveProject = async () => {
+    // Uploaded OBJ files are only read as a whole when saving
+    const savedAssemblies = [];
+    for (const assembly of assemblies) {
+      savedAssemblies.push({
+        // Object ids ("<id>:<index>") in overrides, steps and pieces refer to it
+        id: assembly.id,
+        name: assembly.name,
+        objContent: assembly.source instanceof Blob ? await assembly.source.text() : assembly.source,
+        units: assembly.unit,
+        pieceStatement: assembly.pieceStatement,
+        enabled: assembly.enabled,
+        quantity: assembly.quantity
+      });
+    }
     const projectData = {
       version: '1.0',
       timestamp: new Date().toISOString(),
       materials: materialSettings,
-      objFileName: objFile?.name || null,
-      objContent: objFileContent,
+      assemblies: savedAssemblies,
       pieces: pieces,
       cuttingPlan: cuttingPlan,
+      packingStrategy: packingStrategy,
+      glueUp: glueUp,
+      groupTolerance: groupTolerance,
+      groupOverrides: groupOverrides,
+      materialMapping: materialMapping,
+      mtlColors: mtlColors,
+      manualPieces: manualPieces,
+      assemblySteps: assemblySteps,
       notes: projectNotes
     };
     
@@ -464,6 +858,24 @@ const OBJCuttingPlanner = () => {
     URL.revokeObjectURL(url);
   };
 
+  // Parse the models of a loaded project again for the 3D view and later
+  // re-planning; the pieces and plan are restored as saved
+  const reloadAssemblyModels = async (list) => {
+    for (const assembly of list) {
+      try {
+        const model = await runModelLoad(assembly.source, assembly.pieceStatement);
+        setAssemblies(prev => prev.map(a =>
+          a.id === assembly.id && a.source === assembly.source
+            ? { ...a, materialLibraries: model.materialLibraries, objects: model.objects }
+            : a
+        ));
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        alert(`Error reading the model ${assembly.name} of this project.`);
+      }
+    }
+  };
+
   // Load project from JSON
   const loadProject = (event) => {
     const file = event.target.files[0];
@@ -476,12 +888,68 @@ const OBJCuttingPlanner = () => {
         
         // Restore project state
         if (projectData.materials) setMaterialSettings(projectData.materials);
-        if (projectData.objContent) setObjFileContent(projectData.objContent);
+        // Projects saved before sub-assemblies have one model (always planned in
+        // meters when saved before unit selection)
+        const savedAssemblies = projectData.assemblies || (projectData.objContent
+          ? [{
+              name: (projectData.objFileName || 'Model').replace(/\.[^.]+$/, ''),
+              objContent: projectData.objContent,
+              units: projectData.units,
+              pieceStatement: projectData.pieceStatement,
+              enabled: true,
+              quantity: 1
+            }]
+          : []);
+        // Files saved before assembly ids were stored numbered them in order
+        const loadedAssemblies = savedAssemblies.map((assembly, i) => ({
+          id: assembly.id ?? i + 1,
+          name: assembly.name,
+          source: assembly.objContent,
+          objects: null,
+          unit: assembly.units || DEFAULT_MODEL_UNIT,
+          pieceStatement: assembly.pieceStatement || 'o',
+          enabled: assembly.enabled ?? true,
+          quantity: assembly.quantity ?? 1
+        }));
+        setAssemblies(loadedAssemblies);
+        reloadAssemblyModels(loadedAssemblies);
         if (projectData.pieces) setPieces(projectData.pieces);
-        if (projectData.cuttingPlan) setCuttingPlan(projectData.cuttingPlan);
+        if (projectData.cuttingPlan) {
+          // Plans saved before 2D packing have no piece positions - regenerate them
+          const isLegacyPlan = projectData.cuttingPlan.some(plank => !plank.offcuts);
+          if (isLegacyPlan && projectData.pieces) {
+            setCuttingPlan([]);
+            const run = runPacking({
+              pieces: projectData.pieces,
+              // Pack with the settings saved in the project, not the ones on screen
+              materials: projectData.materials ?? materialSettings,
+              strategy: projectData.packingStrategy ?? packingStrategy,
+              remnants
+            });
+            runPlanTask(run, 'packing').then(result => {
+              if (!result) return;
+              setCuttingPlan(result.planks);
+              setOrientationWarnings(buildWarnings(projectData.pieces, result.outOfStock));
+            });
+          } else {
+            setCuttingPlan(projectData.cuttingPlan);
+          }
+        }
         if (projectData.notes) setProjectNotes(projectData.notes);
-        if (projectData.objFileName) {
-          setObjFile({ name: projectData.objFileName });
+        if (projectData.packingStrategy) setPackingStrategy(projectData.packingStrategy);
+        if (projectData.glueUp) setGlueUp(projectData.glueUp);
+        setGroupTolerance(projectData.groupTolerance ?? DEFAULT_GROUP_TOLERANCE);
+        // Overrides of single-model projects are keyed by object index
+        setGroupOverrides(Object.fromEntries(Object.entries(projectData.groupOverrides || {}).map(([key, label]) =>
+          [key.includes(':') ? key : `1:${key}`, label]
+        )));
+        setSelectedGroups([]);
+        setMaterialMapping(projectData.materialMapping || {});
+        setMtlColors(projectData.mtlColors || {});
+        setManualPieces(projectData.manualPieces || []);
+        setAssemblySteps(projectData.assemblySteps || []);
+        setStrategyComparison([]);
+        if (loadedAssemblies.length > 0 || (projectData.manualPieces || []).length > 0) {
           setAnalysisComplete(true);
         }
         
@@ -490,7 +958,7 @@ const OBJCuttingPlanner = () => {
           const warnings = projectData.pieces.filter(p => !p.canFit).map(p => ({
             piece: p.name,
             dims: `${p.length} × ${p.width} × ${p.thickness}mm`,
-            issue: 'Cannot fit in any available material'
+            issue: p.fitIssue || 'Cannot fit in any available material'
           }));
           setOrientationWarnings(warnings);
         }
@@ -504,7 +972,7 @@ const OBJCuttingPlanner = () => {
   // Print cutting plan
   const printCuttingPlan = () => {
     const printWindow = window.open('', '_blank');
-    const costInfo = calculateTotalCost();
+    const costInfo = calculateTotalCost(cuttingPlan);
     
     const html = `
       <!DOCTYPE html>
@@ -524,11 +992,9 @@ const OBJCuttingPlanner = () => {
           .plank { page-break-inside: avoid; margin: 15px 0; border: 1px solid #ddd; }
           .plank-header { background: #333; color: white; padding: 8px; font-size: 14px; display: flex; justify-content: space-between; align-items: center; }
           .plank-visual { background: #f5f5f5; padding: 10px; border-bottom: 1px solid #ddd; }
-          .plank-diagram { height: 40px; background: #8B4513; position: relative; border: 1px solid #654321; box-shadow: inset 0 2px 4px rgba(0,0,0,0.1); }
+          .plank-diagram { height: 40px; background: #555; position: relative; border: 1px solid #654321; box-shadow: inset 0 2px 4px rgba(0,0,0,0.1); }
           .piece-visual { position: absolute; top: 0; border: 1px solid #000; display: flex; align-items: center; justify-content: center; font-size: 10px; color: white; font-weight: bold; overflow: hidden; }
-          .piece-unused { position: absolute; background: repeating-linear-gradient(45deg, #ff6b6b, #ff6b6b 4px, #ff8e8e 4px, #ff8e8e 8px); opacity: 0.7; }
-          .kerf-visual { position: absolute; top: 0; height: 100%; background: #333; }
-          .waste-visual { position: absolute; top: 0; height: 100%; background: repeating-linear-gradient(45deg, #ff6b6b, #ff6b6b 4px, #ff8e8e 4px, #ff8e8e 8px); border: 1px solid #ff0000; }
+          .waste-visual { position: absolute; overflow: hidden; font-size: 10px; background: repeating-linear-gradient(45deg, #ff6b6b, #ff6b6b 4px, #ff8e8e 4px, #ff8e8e 8px); border: 1px solid #ff0000; }
           .piece-list { padding: 10px; }
           .piece-item { margin: 5px 0; padding: 5px; background: #f9f9f9; border-left: 3px solid #4CAF50; display: flex; align-items: center; }
           .checkbox { width: 15px; height: 15px; border: 2px solid #333; display: inline-block; margin-right: 8px; flex-shrink: 0; }
@@ -553,7 +1019,7 @@ const OBJCuttingPlanner = () => {
         <h1>Plankulator Cutting Plan</h1>
         <div class="header-info">
           <span><strong>Date:</strong> ${new Date().toLocaleDateString()}</span>
-          <span><strong>Project:</strong> ${objFile?.name || 'Unnamed Project'}</span>
+          <span><strong>Project:</strong> ${getProjectName() || 'Unnamed Project'}</span>
         </div>
         
         ${projectNotes ? `
@@ -565,15 +1031,15 @@ const OBJCuttingPlanner = () => {
         <div class="summary">
           <div class="summary-item">
             <strong>Total Planks</strong>
-            <div class="value">${cuttingPlan.length}</div>
+            <div class="value">${cuttingPlan.filter(p => !p.remnantId).length}${cuttingPlan.some(p => p.remnantId) ? ` + ${cuttingPlan.filter(p => p.remnantId).length} remnants` : ''}</div>
           </div>
           <div class="summary-item">
             <strong>Total Pieces</strong>
-            <div class="value">${pieces.filter(p => p.canFit).reduce((sum, p) => sum + p.count, 0)}</div>
+            <div class="value">${cuttingPlan.reduce((sum, plank) => sum + plank.pieces.length, 0)}</div>
           </div>
           <div class="summary-item">
             <strong>Efficiency</strong>
-            <div class="value">${((cuttingPlan.reduce((sum, p) => sum + (p.material.length - p.wasteLength), 0) / cuttingPlan.reduce((sum, p) => sum + p.material.length, 0)) * 100).toFixed(1)}%</div>
+            <div class="value">${calculateOverallEfficiency(cuttingPlan)}%</div>
           </div>
           <div class="summary-item">
             <strong>Total Waste</strong>
@@ -590,12 +1056,9 @@ const OBJCuttingPlanner = () => {
         ${costInfo ? `
         <div class="cost-summary">
           <h3 style="font-size: 14px; margin: 5px 0;">Cost Breakdown</h3>
-          ${Object.entries(costInfo.counts).map(([materialId, count]) => {
-            const material = materialSettings.find(m => m.id === parseInt(materialId));
-            if (!material.pricePerUnit) return '';
-            const cost = material.pricePerUnit * count;
-            return `<div style="font-size: 12px;">${material.name}: ${count} × $${material.pricePerUnit.toFixed(2)} = $${cost.toFixed(2)}</div>`;
-          }).join('')}
+          ${costInfo.purchases.map(purchase => `
+            <div style="font-size: 12px;">${purchase.material.name} (${purchase.length}mm): ${purchase.count} × $${purchase.price.toFixed(2)} = $${(purchase.price * purchase.count).toFixed(2)}</div>
+          `).join('')}
         </div>
         ` : ''}
         
@@ -610,85 +1073,111 @@ const OBJCuttingPlanner = () => {
             </tr>
           </thead>
           <tbody>
-            ${Object.entries(cuttingPlan.reduce((acc, plank) => {
-              const key = plank.material.id;
-              if (!acc[key]) {
-                acc[key] = { material: plank.material, count: 0 };
-              }
-              acc[key].count++;
-              return acc;
-            }, {})).map(([id, data]) => `
+            ${getStockPurchases(cuttingPlan).map(data => `
               <tr>
                 <td>${data.material.name}</td>
-                <td>${data.material.length} × ${data.material.width} × ${data.material.thickness}</td>
+                <td>${data.length} × ${data.width} × ${data.material.thickness}</td>
                 <td>${data.count}</td>
-                ${costInfo && data.material.pricePerUnit ? 
-                  `<td>$${data.material.pricePerUnit.toFixed(2)}</td><td>$${(data.material.pricePerUnit * data.count).toFixed(2)}</td>` : 
+                ${costInfo && data.price ? 
+                  `<td>$${data.price.toFixed(2)}</td><td>$${(data.price * data.count).toFixed(2)}</td>` : 
                   (costInfo ? '<td>-</td><td>-</td>' : '')}
               </tr>
             `).join('')}
+            ${cuttingPlan.filter(plank => plank.remnantId).map(plank => `
+              <tr>
+                <td>${plank.material.name} (remnant rack)</td>
+                <td>${plank.length} × ${plank.width} × ${plank.material.thickness}</td>
+                <td>1</td>
+                ${costInfo ? '<td>-</td><td>-</td>' : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        
+        ${orientationWarnings.length > 0 ? `
+        <h2>Pieces That Don't Fit</h2>
+        <table class="materials-table">
+          <thead>
+            <tr>
+              <th>Piece</th>
+              <th>Dimensions (L×W×T)</th>
+              <th>Issue</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${orientationWarnings.map(warning => `
+              <tr>
+                <td>${warning.piece}</td>
+                <td>${warning.dims}</td>
+                <td>${warning.issue}</td>
+              </tr>
+            `).join('')}
           </tbody>
         </table>
+        ` : ''}
+        
+        ${getGlueUpSummary().length > 0 ? `
+        <h2>Glue-ups</h2>
+        <table class="materials-table">
+          <thead>
+            <tr>
+              <th>Piece</th>
+              <th>Finished (mm)</th>
+              <th>Glued from</th>
+              <th>Parts cut on plank</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${getGlueUpSummary().map(glueUp => `
+              <tr>
+                <td>${glueUp.parent}</td>
+                <td>${glueUp.parentDims}</td>
+                <td>${glueUp.layout} of ${glueUp.partDims}mm each</td>
+                <td>${glueUp.source}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ` : ''}
         
-        <h2>Cutting List by Plank</h2>
+        <h2>Cutting List by Plank / Sheet</h2>
         ${cuttingPlan.map(plank => {
-          // Calculate positions for visual diagram
-          let currentPos = 0;
-          const piecePositions = plank.pieces.map((piece, idx) => {
-            const startPos = currentPos;
-            const width = (piece.cuttingLength / plank.material.length) * 100;
-            currentPos += piece.cuttingLength;
-            if (idx < plank.pieces.length - 1) {
-              currentPos += plank.material.sawKerf;
-            }
-            return { piece, startPos, width, idx };
-          });
-          
           return `
           <div class="plank">
             <div class="plank-header">
-              <span><strong>Plank ${plank.number}:</strong> ${plank.material.name} (${plank.material.length}×${plank.material.width}×${plank.material.thickness}mm)</span>
-              <span>${plank.pieces.length} cuts • ${calculateEfficiency(plank, plank.material.length)}% efficient</span>
+              <span><strong>${getStockLabel(plank.material)} ${plank.number}:</strong> ${plank.material.name} (${plank.length}×${plank.width}×${plank.material.thickness}mm)${plank.remnantId ? ' - from remnant rack' : ''}</span>
+              <span>${plank.pieces.length} cuts • ${calculateEfficiency(plank)}% ${plank.material.stockType === 'sheet' ? 'yield' : 'efficient'}</span>
             </div>
             
             <div class="plank-visual">
-              <div class="plank-diagram">
-                ${piecePositions.map(({ piece, startPos, width, idx }) => {
-                  const leftPercent = (startPos / plank.material.length) * 100;
+              <div class="plank-diagram" ${plank.material.stockType === 'sheet' ? `style="height: auto; aspect-ratio: ${plank.length} / ${plank.width}; max-height: 400px;"` : ''}>
+                ${plank.offcuts.map(offcut => {
+                  const widthPercent = (offcut.length / plank.length) * 100;
+                  const heightPercent = (offcut.width / plank.width) * 100;
+                  return `
+                    <div class="waste-visual" style="left: ${(offcut.x / plank.length) * 100}%; top: ${(offcut.y / plank.width) * 100}%; width: ${widthPercent}%; height: ${heightPercent}%;">
+                      ${widthPercent > 5 && heightPercent > 40 ? `${offcut.length.toFixed(0)}mm` : ''}
+                    </div>
+                  `;
+                }).join('')}
+                ${plank.pieces.map((piece, idx) => {
+                  const leftPercent = (piece.x / plank.length) * 100;
+                  const topPercent = (piece.y / plank.width) * 100;
+                  const width = (piece.placedLength / plank.length) * 100;
+                  const heightPercent = Math.min((piece.placedWidth / plank.width) * 100, 100);
                   const color = getPieceColor(piece);
-                  // Calculate piece height based on width usage (top-aligned)
-                  const heightPercent = Math.min((piece.finalWidth / plank.material.width) * 100, 100);
-                  
-                  // Add kerf visualization if not first piece
-                  let kerfHtml = '';
-                  if (idx > 0) {
-                    const kerfLeft = ((startPos - plank.material.sawKerf) / plank.material.length) * 100;
-                    const kerfWidth = (plank.material.sawKerf / plank.material.length) * 100;
-                    kerfHtml = `<div class="kerf-visual" style="left: ${kerfLeft}%; width: ${kerfWidth}%;"></div>`;
-                  }
                   
-                  // Add unused width area if piece doesn't use full width
-                  let unusedHtml = '';
-                  if (piece.finalWidth < plank.material.width) {
-                    unusedHtml = `<div class="piece-unused" style="left: ${leftPercent}%; width: ${width}%; top: ${heightPercent}%; height: ${100 - heightPercent}%;"></div>`;
-                  }
-                  
-                  return kerfHtml + `
-                    <div class="piece-visual" style="left: ${leftPercent}%; width: ${width}%; top: 0; height: ${heightPercent}%; background: ${color};">
-                      ${width > 3 ? `#${idx + 1}` : ''}
+                  return `
+                    <div class="piece-visual" style="left: ${leftPercent}%; width: ${width}%; top: ${topPercent}%; height: ${heightPercent}%; background: ${color};">
+                      ${width > 3 ? `#${idx + 1}${piece.rotated ? ' ↻' : ''}` : ''}
                     </div>
-                  ` + unusedHtml;
+                  `;
                 }).join('')}
-                
-                ${plank.wasteLength > 0 ? `
-                  <div class="waste-visual" style="left: ${((plank.material.length - plank.wasteLength) / plank.material.length) * 100}%; width: ${(plank.wasteLength / plank.material.length) * 100}%;">
-                    ${(plank.wasteLength / plank.material.length) * 100 > 5 ? `${plank.wasteLength.toFixed(0)}mm` : ''}
-                  </div>
-                ` : ''}
               </div>
               <div class="scale-legend">
                 <span>0mm</span>
-                <span>${plank.material.length}mm</span>
+                <span>${plank.material.grain !== 'none' ? '⟶ grain ⟶' : ''}</span>
+                <span>${plank.length}mm</span>
               </div>
             </div>
             
@@ -696,26 +1185,106 @@ const OBJCuttingPlanner = () => {
               ${plank.pieces.map((piece, idx) => `
                 <div class="piece-item">
                   <span class="checkbox"></span>
-                  <div class="piece-info">
-                    <span class="piece-name">
-                      <span style="display: inline-block; width: 12px; height: 12px; background: ${getPieceColor(piece)}; border: 1px solid #000; vertical-align: middle; margin-right: 5px;"></span>
-                      Cut #${idx + 1}: ${piece.name.replace(/\s*\(\d+\)$/g, '').trim()}
-                    </span>
-                    <div class="dimensions">
-                      ${piece.cuttingLength} × ${piece.finalWidth} × ${piece.finalThickness}mm
-                      ${idx > 0 ? ` (add ${plank.material.sawKerf}mm kerf)` : ''}
-                    </div>
-                  </div>
-                </div>
-              `).join('')}
-              ${plank.wasteLength > 5 ? `
-                <div style="margin-top: 8px; padding: 5px; background: #fff3cd; border-left: 3px solid #ffc107; font-size: 12px;">
-                  <strong>Waste:</strong> ${plank.wasteLength.toFixed(0)}mm
+                  <div class="piece-info">
+                    <span class="piece-name">
+                      <span style="display: inline-block; width: 12px; height: 12px; background: ${getPieceColor(piece)}; border: 1px solid #000; vertical-align: middle; margin-right: 5px;"></span>
+                      Cut #${idx + 1}: ${piece.name.replace(/\s*\(\d+\)$/g, '').trim()}
+                    </span>
+                    <div class="dimensions">
+                      ${piece.cuttingLength} × ${piece.finalWidth} × ${piece.finalThickness}mm${formatRoughDims(piece) ? ` finished, cut rough at ${formatRoughDims(piece)}mm` : ''}
+                      at ${Math.round(piece.x)}mm along, ${Math.round(piece.y)}mm across${piece.rotated ? ' (rotated 90°)' : ''}
+                      ${piece.shapeIssues && piece.shapeIssues.length > 0 ? `<br><em>Not a plain box: ${piece.shapeIssues.join(', ')}</em>` : ''}
+                    </div>
+                  </div>
+                </div>
+              `).join('')}
+              ${plank.material.stockType === 'sheet' ? (plank.offcuts.length > 0 ? `
+                <div style="margin-top: 8px; padding: 5px; background: #fff3cd; border-left: 3px solid #ffc107; font-size: 12px;">
+                  <strong>Offcuts:</strong> ${[...plank.offcuts]
+                    .sort((a, b) => b.length * b.width - a.length * a.width)
+                    .map(offcut => `${offcut.length.toFixed(0)}×${offcut.width.toFixed(0)}mm`)
+                    .join(', ')}
+                </div>
+              ` : '') : (plank.wasteLength > 5 ? `
+                <div style="margin-top: 8px; padding: 5px; background: #fff3cd; border-left: 3px solid #ffc107; font-size: 12px;">
+                  <strong>Waste:</strong> ${plank.wasteLength.toFixed(0)}mm
+                </div>
+              ` : '')}
+              ${plank.endTrim > 0 ? `
+                <div style="margin-top: 8px; font-size: 12px;">Trim ${plank.endTrim}mm off each end first</div>
+              ` : ''}
+            </div>
+          </div>
+        `}).join('')}
+        
+        <div style="margin-top: 40px; padding-top: 20px; border-top: 2px solid #ccc; text-align: center; color: #666;">
+          <p>Generated by Plankulator - ${new Date().toISOString()}</p>
+        </div>
+      </body>
+      </html>
+    `;
+    
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    setTimeout(() => {
+      printWindow.print();
+    }, 250);
+  };
+
+  // Print the assembly steps, with the piece colors of the cutting plan
+  const printAssemblySteps = () => {
+    const printWindow = window.open('', '_blank');
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Assembly Steps - ${new Date().toLocaleDateString()}</title>
+        <style>
+          body { font-family: Arial, sans-serif; margin: 15px; font-size: 14px; }
+          h1 { color: #333; border-bottom: 2px solid #333; padding-bottom: 5px; font-size: 24px; margin: 10px 0; }
+          .header-info { display: flex; justify-content: space-between; margin-bottom: 15px; }
+          .header-info span { margin-right: 20px; }
+          .step { page-break-inside: avoid; margin: 15px 0; border: 1px solid #ddd; }
+          .step-header { background: #333; color: white; padding: 8px; font-size: 14px; }
+          .step-list { padding: 10px; }
+          .step-item { margin: 5px 0; padding: 5px; background: #f9f9f9; display: flex; align-items: center; }
+          .checkbox { width: 15px; height: 15px; border: 2px solid #333; display: inline-block; margin-right: 8px; flex-shrink: 0; }
+          .swatch { width: 14px; height: 14px; border: 1px solid #333; display: inline-block; margin-right: 8px; flex-shrink: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          .piece-name { font-weight: bold; font-size: 13px; flex: 1; }
+          .dimensions { color: #666; font-size: 11px; }
+          @media print { 
+            .step { page-break-inside: avoid; }
+            body { margin: 10px; font-size: 12px; }
+            h1 { font-size: 20px; }
+          }
+        </style>
+      </head>
+      <body>
+        <h1>Plankulator Assembly Steps</h1>
+        <div class="header-info">
+          <span><strong>Date:</strong> ${new Date().toLocaleDateString()}</span>
+          <span><strong>Project:</strong> ${getProjectName() || 'Unnamed Project'}</span>
+        </div>
+        
+        ${assemblySteps.map((step, index) => `
+          <div class="step">
+            <div class="step-header"><strong>Step ${index + 1} of ${assemblySteps.length}:</strong> ${step.title}</div>
+            <div class="step-list">
+              ${step.objectIds.map(objectId => {
+                const group = getObjectPiece(objectId);
+                return `
+                <div class="step-item">
+                  <span class="checkbox"></span>
+                  <span class="swatch" style="background-color: ${group ? getPieceColor(group) : '#808080'};"></span>
+                  <span class="piece-name">${getObjectLabel(objectId)}</span>
+                  ${group && group.canFit ? `<span class="dimensions">${group.cuttingLength}×${group.finalWidth}×${group.finalThickness}mm</span>` : ''}
                 </div>
-              ` : ''}
+              `}).join('')}
             </div>
           </div>
-        `}).join('')}
+        `).join('')}
         
         <div style="margin-top: 40px; padding-top: 20px; border-top: 2px solid #ccc; text-align: center; color: #666;">
           <p>Generated by Plankulator - ${new Date().toISOString()}</p>
@@ -732,30 +1301,106 @@ const OBJCuttingPlanner = () => {
     }, 250);
   };
 
+  // Grain requirement selector for a piece group
+  const renderGrainSelect = (piece) => {
+    const autoAxis = getGrainAxis({ ...piece, grain: 'auto' });
+    return (
+      <select
+        value={piece.grain || 'auto'}
+        onChange={(e) => updatePieceGrain(piece, e.target.value)}
+        className="ml-1 px-1 py-0.5 border border-gray-300 rounded text-xs bg-white"
+      >
+        <option value="auto">Auto (along {'XYZ'[autoAxis]}: {piece.originalDims[autoAxis]}mm)</option>
+        <option value="x">Along X ({piece.originalDims[0]}mm)</option>
+        <option value="y">Along Y ({piece.originalDims[1]}mm)</option>
+        <option value="z">Along Z ({piece.originalDims[2]}mm)</option>
+        <option value="none">No grain requirement</option>
+      </select>
+    );
+  };
+
+  // Name of a model object, with its sub-assembly when the project has several
+  const getObjectLabel = (objectId) => {
+    const [assemblyId, index] = objectId.split(':').map(Number);
+    const assembly = assemblies.find(a => a.id === assemblyId);
+    const name = assembly?.objects?.[index]?.name || objectId;
+    if (!assembly) return name;
+    const copies = assembly.quantity > 1 ? ` ×${assembly.quantity}` : '';
+    return assemblies.length > 1 ? `${assembly.name}: ${name}${copies}` : `${name}${copies}`;
+  };
+
+  // Model objects of a piece group with the controls to split or merge it
+  const renderGroupDetails = (piece) => {
+    if (!piece.objectIds) return null;
+    const names = piece.objectIds.map(getObjectLabel);
+    const shown = names.slice(0, 6).join(', ') + (names.length > 6 ? ` and ${names.length - 6} more` : '');
+    return (
+      <div className="text-xs text-gray-500 mb-1">
+        <div>Objects: {shown}</div>
+        {piece.sizeSpread > 0 && (
+          <div className="text-amber-700">Sizes differ by up to {piece.sizeSpread}mm, cut at the largest</div>
+        )}
+        <div className="mt-1 flex items-center gap-3">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={selectedGroups.includes(piece.groupId)}
+              onChange={() => toggleGroupSelection(piece.groupId)}
+            />
+            Select to merge
+          </label>
+          {piece.objectIds.length > 1 && (
+            <button
+              onClick={() => splitPieceGroup(piece.groupId)}
+              className="text-blue-600 hover:text-blue-800"
+            >
+              Split group
+            </button>
+          )}
+          <button
+            onClick={() => selectPieceGroup(piece.groupId, true)}
+            className="text-blue-600 hover:text-blue-800"
+          >
+            {highlightedGroup === piece.groupId ? 'Clear highlight' : 'Show in 3D'}
+          </button>
+          {piece.groupedByHand && <span className="italic">grouped by hand</span>}
+        </div>
+      </div>
+    );
+  };
+
+  // Pieces placed on the cutting plan, and those that fit a material but found
+  // no stock left (they are listed with the warnings)
+  const getPlacedPieceCounts = () => {
+    const placed = cuttingPlan.reduce((sum, plank) => sum + plank.pieces.length, 0);
+    const fittable = pieces.filter(p => p.canFit).reduce((sum, p) => sum + p.count, 0);
+    return { placed, outOfStock: Math.max(0, fittable - placed) };
+  };
+
   // Render cutting plan visualization
   const renderCuttingPlan = () => {
     if (!analysisComplete || cuttingPlan.length === 0) return null;
 
     const totalWaste = cuttingPlan.reduce((sum, plank) => sum + plank.wasteLength, 0);
-    const totalLength = cuttingPlan.reduce((sum, plank) => sum + plank.material.length, 0);
-    const overallEfficiency = ((totalLength - totalWaste) / totalLength * 100).toFixed(1);
-    const fittablePieces = pieces.filter(p => p.canFit);
-    const totalFittablePieces = fittablePieces.reduce((sum, p) => sum + p.count, 0);
+    const overallEfficiency = calculateOverallEfficiency(cuttingPlan);
+    const pieceCounts = getPlacedPieceCounts();
 
     return (
       <div className="space-y-6">
         {/* Summary with Cost */}
         {(() => {
-          const costInfo = calculateTotalCost();
+          const costInfo = calculateTotalCost(cuttingPlan);
           return (
             <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <h3 className="text-lg font-semibold text-blue-900 mb-2">📋 Cutting Plan Summary</h3>
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
             <div>
-              <span className="font-medium">Total planks needed:</span> {cuttingPlan.length}
+              <span className="font-medium">Total {cuttingPlan.some(p => p.material.stockType === 'sheet') ? 'planks/sheets' : 'planks'} needed:</span> {cuttingPlan.filter(p => !p.remnantId).length}
+              {cuttingPlan.some(p => p.remnantId) && ` (+ ${cuttingPlan.filter(p => p.remnantId).length} remnants)`}
             </div>
             <div>
-              <span className="font-medium">Total pieces:</span> {totalFittablePieces}
+              <span className="font-medium">Total pieces:</span> {pieceCounts.placed}
+              {pieceCounts.outOfStock > 0 && <span className="text-red-600"> (+ {pieceCounts.outOfStock} out of stock)</span>}
             </div>
             <div>
               <span className="font-medium">Total waste:</span> {Math.round(totalWaste)}mm
@@ -774,15 +1419,11 @@ const OBJCuttingPlanner = () => {
                 <span className="font-semibold">Total Material Cost: ${costInfo.total.toFixed(2)}</span>
               </div>
               <div className="mt-2 text-xs text-blue-700">
-                {Object.entries(costInfo.counts).map(([materialId, count]) => {
-                  const material = materialSettings.find(m => m.id === parseInt(materialId));
-                  if (!material.pricePerUnit) return null;
-                  return (
-                    <div key={materialId}>
-                      {material.name}: {count} × ${material.pricePerUnit.toFixed(2)} = ${(material.pricePerUnit * count).toFixed(2)}
-                    </div>
-                  );
-                }).filter(Boolean)}
+                {costInfo.purchases.map(purchase => (
+                  <div key={`${purchase.material.id}-${purchase.length}`}>
+                    {purchase.material.name} ({purchase.length}mm): {purchase.count} × ${purchase.price.toFixed(2)} = ${(purchase.price * purchase.count).toFixed(2)}
+                  </div>
+                ))}
               </div>
             </div>
           )}
@@ -790,16 +1431,98 @@ const OBJCuttingPlanner = () => {
           );
         })()}
 
+        {/* Packing strategy comparison */}
+        {strategyComparison.length > 0 && (
+          <div className="bg-white p-4 rounded-lg border border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">⚖️ Packing Strategies</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1 pr-2">Strategy</th>
+                  <th className="py-1 pr-2">Planks</th>
+                  <th className="py-1 pr-2">Efficiency</th>
+                  <th className="py-1 pr-2">Waste</th>
+                  <th className="py-1 pr-2">Cost</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {strategyComparison.map(row => {
+                  const isSelected = row.strategy === packingStrategy;
+                  const isBest = row.plankCount === Math.min(...strategyComparison.map(r => r.plankCount));
+                  return (
+                    <tr key={row.strategy} className={`border-b border-gray-100 ${isSelected ? 'bg-blue-50' : ''}`}>
+                      <td className="py-1 pr-2">
+                        <span className="font-medium">{row.label}</span>
+                        {row.note && <div className={`text-xs ${row.hitNodeLimit ? 'text-amber-700' : 'text-gray-500'}`}>{row.note}</div>}
+                      </td>
+                      <td className={`py-1 pr-2 ${isBest ? 'text-green-700 font-semibold' : ''}`}>
+                        {row.plankCount}
+                        {row.outOfStock.length > 0 && (
+                          <span className="text-xs text-red-600"> ({row.outOfStock.reduce((sum, o) => sum + o.count, 0)} out of stock)</span>
+                        )}
+                      </td>
+                      <td className="py-1 pr-2">{row.efficiency}%</td>
+                      <td className="py-1 pr-2">{(row.wasteArea / 1e6).toFixed(2)}m²</td>
+                      <td className="py-1 pr-2">{row.cost !== null ? `$${row.cost.toFixed(2)}` : '-'}</td>
+                      <td className="py-1 text-right">
+                        {isSelected ? (
+                          <span className="text-xs text-blue-700 font-semibold">In use</span>
+                        ) : (
+                          <button
+                            onClick={() => selectPackingStrategy(row)}
+                            className="px-2 py-0.5 bg-blue-600 text-white text-xs rounded hover:bg-blue-700 transition-colors"
+                          >
+                            Use this plan
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Glue-up parts grouped by the piece they are glued into */}
+        {getGlueUpSummary().length > 0 && (
+          <div className="bg-white p-4 rounded-lg border border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">🧩 Glue-ups</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1 pr-2">Piece</th>
+                  <th className="py-1 pr-2">Finished</th>
+                  <th className="py-1 pr-2">Glued from</th>
+                  <th className="py-1">Parts cut on plank</th>
+                </tr>
+              </thead>
+              <tbody>
+                {getGlueUpSummary().map(glueUp => (
+                  <tr key={glueUp.parent} className="border-b border-gray-100">
+                    <td className="py-1 pr-2 font-medium">{glueUp.parent}</td>
+                    <td className="py-1 pr-2">{glueUp.parentDims}mm</td>
+                    <td className="py-1 pr-2">{glueUp.layout} of {glueUp.partDims}mm each</td>
+                    <td className="py-1">{glueUp.source}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Legend for cutting plan visualization */}
         <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
           <h4 className="font-semibold text-yellow-800 mb-2">🎨 Cutting Plan Legend:</h4>
           <ul className="text-sm text-yellow-700 space-y-1">
-            <li>• <strong>Piece alignment:</strong> All pieces aligned to top edge (realistic cutting position)</li>
-            <li>• <strong>Height visualization:</strong> Piece height = actual width usage on plank</li>
+            <li>• <strong>Piece layout:</strong> Pieces are drawn at their real position - the plank is ripped into strips, then each strip is crosscut</li>
+            <li>• <strong>Height visualization:</strong> Piece height = actual width usage on plank, narrow pieces sit side by side</li>
             <li>• <strong>Color coding:</strong> Identical dimensions = same color for easy matching</li>
-            <li>• <strong>Material selection:</strong> Each piece automatically assigned to best-fitting material</li>
+            <li>• <strong>Material selection:</strong> Pieces are assigned to the materials that give the lowest total cost (or fewest planks without prices)</li>
             <li>• <strong>Tooltips:</strong> Hover over any piece to see full details and dimensions</li>
-            <li>• <strong>Dotted areas:</strong> Unused plank width below narrow pieces</li>
+            <li>• <strong>Grain arrow:</strong> Grain runs along the plank length - pieces with a grain requirement are never turned across it</li>
+            <li>• <strong>Striped areas:</strong> Offcuts that are left over after all pieces are cut</li>
             <li>• <strong>Dark gray strips:</strong> Material lost to saw blade kerf</li>
           </ul>
         </div>
@@ -809,83 +1532,94 @@ const OBJCuttingPlanner = () => {
           <div key={plank.number} className="border border-gray-300 rounded-lg overflow-hidden">
             <div className="bg-gray-800 text-white px-4 py-3 flex justify-between items-center">
               <span className="font-semibold">
-                Plank {plank.number}: {plank.pieces.length} pieces ({plank.material.name})
+                {getStockLabel(plank.material)} {plank.number}: {plank.pieces.length} pieces ({plank.material.name}{plank.remnantId ? `, remnant ${plank.length}×${plank.width}mm` : ''})
               </span>
               <span className="text-green-300 text-sm">
-                {calculateEfficiency(plank, plank.material.length)}% efficient
+                {calculateEfficiency(plank)}% {plank.material.stockType === 'sheet' ? 'yield' : 'efficient'}
               </span>
             </div>
             
-            <div className="bg-amber-800 relative h-28 overflow-hidden border-t-2 border-b-2 border-gray-600">
+            <div
+              className={`bg-gray-600 relative overflow-hidden border-t-2 border-b-2 border-gray-600 ${plank.material.stockType === 'sheet' ? 'mx-auto' : 'h-28'}`}
+              style={plank.material.stockType === 'sheet' ? { aspectRatio: `${plank.length} / ${plank.width}`, maxHeight: '28rem', maxWidth: '100%' } : undefined}
+            >
               {/* Plank outline showing actual material dimensions */}
-              <div className="absolute inset-0 border-2 border-gray-700 bg-amber-900 bg-opacity-30"></div>
+              <div className="absolute inset-0 border-2 border-gray-700"></div>
               
               {/* Length ruler at bottom */}
               <div className="absolute bottom-0 left-0 right-0 h-3 bg-gray-700 bg-opacity-50 flex items-center text-white text-xs font-mono z-10">
                 <div className="px-1">0mm</div>
-                <div className="flex-1"></div>
-                <div className="px-1">{plank.material.length}mm</div>
+                <div className="flex-1 text-center">{plank.material.grain !== 'none' && '⟶ grain ⟶'}</div>
+                <div className="px-1">{plank.length}mm</div>
               </div>
               
+              {/* Offcuts - everything that is neither a piece nor a kerf */}
+              {plank.offcuts.map((offcut, index) => {
+                const widthPercent = (offcut.length / plank.length) * 100;
+                const heightPercent = (offcut.width / plank.width) * 100;
+                return (
+                  <div
+                    key={`offcut-${index}`}
+                    className="absolute bg-red-400 bg-opacity-70 flex items-center justify-center text-red-900 text-xs font-bold overflow-hidden"
+                    style={{
+                      left: `${(offcut.x / plank.length) * 100}%`,
+                      top: `${(offcut.y / plank.width) * 100}%`,
+                      width: `${widthPercent}%`,
+                      height: `${heightPercent}%`,
+                      backgroundImage: 'repeating-linear-gradient(45deg, #ff6b6b, #ff6b6b 8px, #ff8e8e 8px, #ff8e8e 16px)'
+                    }}
+                    title={`Offcut: ${Math.round(offcut.length)}×${Math.round(offcut.width)}mm`}
+                  >
+                    {widthPercent > 5 && heightPercent > 25 && `${Math.round(offcut.length)}mm`}
+                  </div>
+                );
+              })}
+              
               {plank.pieces.map((piece, index) => {
-                const startPos = index === 0 ? 0 : 
-                  plank.pieces.slice(0, index).reduce((sum, p) => sum + p.cuttingLength, 0) + 
-                  (index * plank.material.sawKerf);
-                const widthPercent = (piece.cuttingLength / plank.material.length) * 100;
-                const leftPercent = (startPos / plank.material.length) * 100;
+                const widthPercent = (piece.placedLength / plank.length) * 100;
+                const leftPercent = (piece.x / plank.length) * 100;
                 
-                // Calculate the breadth (how much of the plank width this piece uses)
-                const breadthPercent = (piece.finalWidth / plank.material.width) * 100;
-                const heightPercent = (piece.finalThickness / plank.material.thickness) * 100;
-                
-                // Position pieces at the top (not centered) - this is how they would actually be cut
-                const topOffset = 0; // Always align to top
-                const actualHeight = Math.min(breadthPercent, 100); // Cap at 100%
+                // Pieces are drawn where they are cut: y is the position across the plank width
+                const topPercent = (piece.y / plank.width) * 100;
+                const actualHeight = Math.min((piece.placedWidth / plank.width) * 100, 100);
+                const isNarrow = piece.finalWidth < plank.width * 0.8;
+                const isHighlighted = highlightedGroup !== null && piece.groupId === highlightedGroup;
                 
                 return (
                   <React.Fragment key={piece.id}>
-                    {index > 0 && (
-                      <div 
-                        className="absolute h-full bg-gray-600 border-l border-r border-gray-400 z-10"
-                        style={{
-                          left: `${((startPos - plank.material.sawKerf) / plank.material.length) * 100}%`,
-                          width: `${(plank.material.sawKerf / plank.material.length) * 100}%`
-                        }}
-                      >
-                        <div className="flex items-center justify-center h-full text-xs text-gray-300">
-                          |
-                        </div>
-                      </div>
-                    )}
-                    
                     {/* Main piece visualization showing actual breadth */}
                     <div
-                      className="absolute border-r border-black border-l border-black flex flex-col items-center justify-center text-white text-xs font-bold overflow-hidden z-20 cursor-help"
+                      className={`absolute flex flex-col items-center justify-center text-white text-xs font-bold overflow-hidden z-20 ${piece.groupId ? 'cursor-pointer' : 'cursor-help'}`}
                       style={{
                         left: `${leftPercent}%`,
                         width: `${widthPercent}%`,
-                        top: `${topOffset}%`,
+                        top: `${topPercent}%`,
                         height: `${actualHeight}%`,
                         backgroundColor: getPieceColor(piece),
-                        border: piece.finalWidth < plank.material.width * 0.8 ? '2px solid #333' : '1px solid #000',
-                        boxShadow: piece.finalWidth < plank.material.width * 0.8 ? 'inset 0 0 0 1px rgba(255,255,255,0.3)' : 'none'
+                        border: isNarrow ? '2px solid #333' : '1px solid #000',
+                        boxShadow: isHighlighted
+                          ? 'inset 0 0 0 3px #facc15'
+                          : (isNarrow ? 'inset 0 0 0 1px rgba(255,255,255,0.3)' : 'none'),
+                        opacity: highlightedGroup !== null && !isHighlighted ? 0.5 : 1
                       }}
-                      title={`Piece #${index + 1}: ${piece.name.replace(/\s*\(\d+\)$/g, '').trim()}
-Dimensions: ${piece.cuttingLength}×${piece.finalWidth}×${piece.finalThickness}mm
+                      onClick={() => selectPieceGroup(piece.groupId, true)}
+                      title={`${getStockLabel(plank.material)} ${plank.number}, piece #${index + 1}: ${piece.name.replace(/\s*\(\d+\)$/g, '').trim()}
+Dimensions: ${piece.cuttingLength}×${piece.finalWidth}×${piece.finalThickness}mm${formatRoughDims(piece) ? `
+Rough cut: ${formatRoughDims(piece)}mm` : ''}
+Position: ${Math.round(piece.x)}mm along, ${Math.round(piece.y)}mm across${piece.rotated ? ' (rotated 90°)' : ''}
+Grain: ${piece.grainLocked ? 'along the cut length' : 'no requirement'}
 Orientation: ${piece.orientation}
-Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDims[2]}mm`}
+Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDims[2]}mm${piece.alignedDims ? `
+Axis-aligned in model: ${piece.alignedDims.join('×')}mm (rotated)` : ''}`}
                     >
-                      <div className="text-xs opacity-80">#{index + 1}</div>
+                      <div className="text-xs opacity-80">#{index + 1}{piece.rotated && ' ↻'}</div>
                       {/* Conditional text display based on available space */}
-                      {widthPercent > 8 ? (
+                      {widthPercent > 8 && actualHeight > 40 ? (
                         <div className="text-center leading-tight">
                           <div className="text-xs">{piece.name.replace(/\s*\(\d+\)$/g, '').trim()}</div>
                           <div className="text-xs opacity-90">
                             {piece.cuttingLength}×{piece.finalWidth}×{piece.finalThickness}
                           </div>
-                          {piece.finalWidth < plank.material.width * 0.8 && widthPercent > 12 && (
-                            <div className="text-xs opacity-70">(narrow)</div>
-                          )}
                         </div>
                       ) : widthPercent > 4 ? (
                         <div className="text-center leading-tight">
@@ -904,14 +1638,14 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
                       )}
                     </div>
                     
-                    {/* Measurement label */}
-                    {widthPercent > 3 && (
+                    {/* Measurement label along the bottom edge of the piece */}
+                    {widthPercent > 3 && actualHeight > 40 && (
                       <div
                         className="absolute text-xs font-mono text-gray-800 bg-white bg-opacity-90 px-1 rounded"
                         style={{
                           left: `${leftPercent}%`,
-                          top: `${actualHeight + 2}%`,
-                          transform: 'translateY(2px)',
+                          top: `${topPercent + actualHeight}%`,
+                          transform: 'translateY(-100%)',
                           zIndex: 30,
                           fontSize: '10px',
                           border: '1px solid #ccc'
@@ -920,45 +1654,40 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
                         {piece.cuttingLength}mm
                       </div>
                     )}
-                    
-                    {/* Unused width indicator for narrow pieces */}
-                    {piece.finalWidth < plank.material.width && (
-                      <>
-                        {/* Bottom unused area (since pieces are aligned to top) - styled like waste */}
-                        <div
-                          className="absolute bg-red-400 bg-opacity-70"
-                          style={{
-                            left: `${leftPercent}%`,
-                            width: `${widthPercent}%`,
-                            top: `${actualHeight}%`,
-                            height: `${100 - actualHeight}%`,
-                            backgroundImage: 'repeating-linear-gradient(45deg, #ff6b6b, #ff6b6b 8px, #ff8e8e 8px, #ff8e8e 16px)'
-                          }}
-                        />
-                      </>
-                    )}
                   </React.Fragment>
                 );
               })}
-              
-              {plank.wasteLength > 0 && (
-                <div
-                  className="absolute h-full bg-red-400 bg-opacity-70 flex items-center justify-center text-red-900 text-xs font-bold"
-                  style={{
-                    left: `${((plank.material.length - plank.wasteLength) / plank.material.length) * 100}%`,
-                    width: `${(plank.wasteLength / plank.material.length) * 100}%`,
-                    backgroundImage: 'repeating-linear-gradient(45deg, #ff6b6b, #ff6b6b 8px, #ff8e8e 8px, #ff8e8e 16px)'
-                  }}
-                >
-                  {Math.round(plank.wasteLength)}mm
-                </div>
-              )}
             </div>
             
             <div className="p-3 bg-gray-50 text-sm text-gray-600">
-              Used: {Math.round(plank.usedLength)}mm, Waste: {Math.round(plank.wasteLength)}mm
-              {plank.pieces.length > 1 && (
-                <span> • {plank.pieces.length - 1} cuts ({(plank.pieces.length - 1) * plank.material.sawKerf}mm kerf)</span>
+              {plank.material.stockType === 'sheet' ? (
+                <>
+                  Yield: {calculateEfficiency(plank)}% of {(plank.length * plank.width / 1e6).toFixed(2)}m²
+                  {plank.pieces.some(p => p.rotated) && (
+                    <span> • {plank.pieces.filter(p => p.rotated).length} rotated parts (↻)</span>
+                  )}
+                  <span> • {plank.material.nesting === 'free' ? 'Free nesting (CNC)' : 'Guillotine cuts (panel saw)'}</span>
+                </>
+              ) : (
+                <>
+                  Used: {Math.round(plank.usedLength)}mm, Waste: {Math.round(plank.wasteLength)}mm
+                  {plank.offcuts.length > 1 && (
+                    <span> • {plank.offcuts.length} offcuts</span>
+                  )}
+                </>
+              )}
+              <span> • {plank.material.sawKerf}mm kerf on every rip and crosscut</span>
+              {plank.endTrim > 0 && (
+                <span> • {plank.endTrim}mm end trim</span>
+              )}
+              {plank.material.stockType === 'sheet' && plank.offcuts.length > 0 && (
+                <div className="mt-1 text-xs">
+                  <span className="font-medium">Offcuts:</span>{' '}
+                  {[...plank.offcuts]
+                    .sort((a, b) => b.length * b.width - a.length * a.width)
+                    .map(offcut => `${Math.round(offcut.length)}×${Math.round(offcut.width)}`)
+                    .join(', ')}
+                </div>
               )}
             </div>
           </div>
@@ -967,6 +1696,9 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
     );
   };
 
+  // Progress of the running model load or, after it, of the plan
+  const progress = loadProgress || planProgress;
+
   return (
     <div className="max-w-6xl mx-auto p-6 bg-white min-h-screen">
       {/* Header */}
@@ -976,7 +1708,7 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
           PLANKulator - Smart OBJ Cutting Planner
         </h1>
         <p className="text-gray-600">
-          Upload an OBJ file to generate an optimized cutting plan with intelligent piece orientation
+          Upload an OBJ file or enter a cut list to generate an optimized cutting plan with intelligent piece orientation
         </p>
       </div>
 
@@ -987,12 +1719,22 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
             <Package size={20} className="text-gray-600" />
             <h3 className="font-semibold text-gray-800">Raw Materials ({materialSettings.length})</h3>
           </div>
-          <button
-            onClick={addMaterial}
-            className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors"
-          >
-            + Add Material
-          </button>
+          <div className="flex items-center gap-2">
+            {pieces.length > 0 && (
+              <button
+                onClick={() => recalculatePlan(pieces)}
+                className="px-3 py-1 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition-colors"
+              >
+                Recalculate Plan
+              </button>
+            )}
+            <button
+              onClick={addMaterial}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors"
+            >
+              + Add Material
+            </button>
+          </div>
         </div>
         
         <div className="space-y-4">
@@ -1082,12 +1824,260 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
                   />
                 </div>
               </div>
+              
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mt-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Stock Type
+                  </label>
+                  <select
+                    value={material.stockType || 'plank'}
+                    onChange={(e) => updateMaterial(material.id, 'stockType', e.target.value)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    <option value="plank">Plank</option>
+                    <option value="sheet">Sheet (plywood/MDF)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Available Qty
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={material.quantity ?? ''}
+                    onChange={(e) => updateMaterial(material.id, 'quantity', e.target.value !== '' ? Math.max(0, parseInt(e.target.value) || 0) : null)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    placeholder="Unlimited"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Grain
+                  </label>
+                  <select
+                    value={material.grain || 'length'}
+                    onChange={(e) => updateMaterial(material.id, 'grain', e.target.value)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    <option value="length">Along length</option>
+                    <option value="none">None (e.g. MDF)</option>
+                  </select>
+                </div>
+                {material.stockType === 'sheet' && (
+                  <div className="col-span-2 md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Nesting
+                    </label>
+                    <select
+                      value={material.nesting || 'guillotine'}
+                      onChange={(e) => updateMaterial(material.id, 'nesting', e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="guillotine">Guillotine cuts (panel saw)</option>
+                      <option value="free">Free rectangles (CNC)</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-3">
+                {[
+                  ['thicknessAllowance', 'Thickness Allowance (mm)'],
+                  ['widthAllowance', 'Width Allowance (mm)'],
+                  ['endTrim', 'End Trim (mm, each end)'],
+                  ['lengthAllowance', 'Length Oversize (mm/piece)']
+                ].map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={material[field] || ''}
+                      onChange={(e) => updateMaterial(material.id, field, Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                      placeholder="0"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-medium text-gray-700">Also sold in:</span>
+                {(material.extraLengths || []).map((stock, index) => (
+                  <div key={index} className="flex items-center gap-1 bg-gray-50 border border-gray-200 rounded px-2 py-1">
+                    <input
+                      type="number"
+                      value={stock.length}
+                      onChange={(e) => updateExtraLength(material.id, index, 'length', parseInt(e.target.value) || 0)}
+                      className="w-20 px-1 py-0.5 border border-gray-300 rounded text-sm"
+                    />
+                    <span className="text-gray-500">mm $</span>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={stock.price || ''}
+                      onChange={(e) => updateExtraLength(material.id, index, 'price', e.target.value ? parseFloat(e.target.value) : null)}
+                      className="w-20 px-1 py-0.5 border border-gray-300 rounded text-sm"
+                      placeholder="Optional"
+                    />
+                    <button
+                      onClick={() => removeExtraLength(material.id, index)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => addExtraLength(material.id)}
+                  className="text-blue-600 hover:text-blue-800 text-sm"
+                >
+                  + Add length
+                </button>
+              </div>
             </div>
           ))}
         </div>
         
+        <div className="mt-3 flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={glueUp.enabled}
+              onChange={(e) => updateGlueUp('enabled', e.target.checked)}
+            />
+            Glue up pieces that are thicker or wider than any stock
+          </label>
+          {glueUp.enabled && (
+            <label className="flex items-center gap-2 text-gray-700">
+              Glue-up oversize (mm)
+              <input
+                type="number"
+                min="0"
+                value={glueUp.oversize}
+                onChange={(e) => updateGlueUp('oversize', Math.max(0, parseFloat(e.target.value) || 0))}
+                className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+              />
+            </label>
+          )}
+        </div>
+        
         <div className="mt-2 p-2 bg-blue-50 rounded text-xs text-blue-800">
-          <strong>💡 Smart Material Selection:</strong> Each piece will automatically find the best-fitting material and optimal orientation to minimize waste.
+          <strong>💡 Smart Material Selection:</strong> Each piece will automatically find the best-fitting material and optimal orientation to minimize waste. Planks are cut along their length, sheets (e.g. 2440×1220 plywood) are nested in two dimensions with rotated parts.
+        </div>
+      </div>
+
+      {/* Remnant Inventory */}
+      <div className="bg-amber-50 p-4 rounded-lg border border-amber-200 mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2">
+            <Package size={20} className="text-amber-700" />
+            <h3 className="font-semibold text-gray-800">Remnant Rack ({remnants.length})</h3>
+          </div>
+          <button
+            onClick={addRemnant}
+            className="px-3 py-1 bg-amber-600 text-white text-sm rounded hover:bg-amber-700 transition-colors"
+          >
+            + Add Remnant
+          </button>
+        </div>
+        
+        {remnants.length > 0 ? (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 pr-2 font-medium">Material</th>
+                <th className="py-1 pr-2 font-medium">Length (mm)</th>
+                <th className="py-1 pr-2 font-medium">Width (mm)</th>
+                <th className="py-1 pr-2 font-medium">Note</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {remnants.map(remnant => {
+                const material = materialSettings.find(m => isRemnantOfMaterial(remnant, m));
+                return (
+                  <tr key={remnant.id}>
+                    <td className="py-1 pr-2">
+                      <select
+                        value={material ? material.id : ''}
+                        onChange={(e) => {
+                          const selected = materialSettings.find(m => m.id === parseInt(e.target.value));
+                          if (selected) updateRemnant(remnant.id, { materialName: selected.name, thickness: selected.thickness });
+                        }}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+                      >
+                        {!material && (
+                          <option value="">{remnant.materialName} ({remnant.thickness}mm) - not in this project</option>
+                        )}
+                        {materialSettings.map(m => (
+                          <option key={m.id} value={m.id}>{m.name} ({m.thickness}mm)</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="number"
+                        value={remnant.length}
+                        onChange={(e) => updateRemnant(remnant.id, { length: parseInt(e.target.value) || 0 })}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="number"
+                        value={remnant.width}
+                        onChange={(e) => updateRemnant(remnant.id, { width: parseInt(e.target.value) || 0 })}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="text"
+                        value={remnant.note || ''}
+                        onChange={(e) => updateRemnant(remnant.id, { note: e.target.value })}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                        placeholder="e.g., top shelf, left"
+                      />
+                    </td>
+                    <td className="py-1 text-right">
+                      <button
+                        onClick={() => removeRemnant(remnant.id)}
+                        className="text-red-600 hover:text-red-800 text-sm"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-600">No remnants on the rack yet.</p>
+        )}
+        
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-amber-800">
+          <span>Keep offcuts from</span>
+          <input
+            type="number"
+            value={remnantMinSize.length}
+            onChange={(e) => setRemnantMinSize(prev => ({ ...prev, length: parseInt(e.target.value) || 0 }))}
+            className="w-20 px-2 py-0.5 border border-gray-300 rounded text-xs"
+          />
+          <span>mm long and</span>
+          <input
+            type="number"
+            value={remnantMinSize.width}
+            onChange={(e) => setRemnantMinSize(prev => ({ ...prev, width: parseInt(e.target.value) || 0 }))}
+            className="w-20 px-2 py-0.5 border border-gray-300 rounded text-xs"
+          />
+          <span>mm wide.</span>
+        </div>
+        <div className="mt-2 p-2 bg-amber-100 rounded text-xs text-amber-800">
+          <strong>♻️ Remnants:</strong> Remnants of a material (same name and thickness) are used before new stock is opened. "Confirm Plan as Cut" removes the remnants a plan used and puts its offcuts on the rack. The rack is stored in this browser and shared by all projects.
         </div>
       </div>
 
@@ -1097,14 +2087,15 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
         <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center">
           <Upload size={40} className="mx-auto text-gray-400 mb-3" />
           <h3 className="text-lg font-semibold text-gray-900 mb-2">
-            Upload OBJ File
+            {assemblies.length > 0 ? 'Add 3D Model' : 'Upload 3D Model'}
           </h3>
           <p className="text-gray-600 mb-4 text-sm">
-            Select a .obj file to analyze and generate a cutting plan
+            Select OBJ, STL, glTF/GLB or 3MF files (or one STL per part) to analyze and generate a cutting plan. Every model file is added to the project as a sub-assembly. Select the MTL files of OBJ models with them to show the material colors
           </p>
           <input
             type="file"
-            accept=".obj"
+            accept={[...MODEL_EXTENSIONS, '.mtl'].join(',')}
+            multiple
             onChange={handleFileUpload}
             className="hidden"
             id="obj-upload"
@@ -1114,8 +2105,21 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
             className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 cursor-pointer transition-colors"
           >
             <FileText size={18} className="mr-2" />
-            Choose OBJ File
+            Choose Model Files
           </label>
+          <div className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-700">
+            <label htmlFor="group-tolerance">Same piece within:</label>
+            <input
+              id="group-tolerance"
+              type="number"
+              min="0"
+              step="0.1"
+              value={groupTolerance}
+              onChange={(e) => updateGroupTolerance(Math.max(0, parseFloat(e.target.value) || 0))}
+              className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+            />
+            <span>mm</span>
+          </div>
         </div>
 
         {/* OBJ File Requirements Info */}
@@ -1133,12 +2137,233 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
               <li><strong>Sample file:</strong> <a href="/Shelves.obj" download className="text-blue-600 hover:text-blue-800 underline">Download Shelves.obj</a> to see proper structure</li>
             </ul>
             <p className="text-xs text-blue-600 mt-2">
-              💡 Tip: Pieces with identical dimensions will be automatically grouped and counted together.
+              💡 Tip: Pieces with the same dimensions in any orientation (within the "Same piece within" tolerance) are grouped and counted together. Groups can be split or merged in the pieces list.
             </p>
           </div>
         </div>
       </div>
 
+      {/* Sub-assemblies */}
+      {assemblies.length > 0 && (
+        <div className="bg-white p-4 rounded-lg border border-gray-200 mb-6">
+          <div className="flex items-center gap-2 mb-3">
+            <Box size={20} className="text-gray-600" />
+            <h3 className="font-semibold text-gray-800">Sub-assemblies ({assemblies.length})</h3>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-1 pr-2 font-medium">Active</th>
+                <th className="py-1 pr-2 font-medium">Name</th>
+                <th className="py-1 pr-2 font-medium">Pieces</th>
+                <th className="py-1 pr-2 font-medium">Model units</th>
+                <th className="py-1 pr-2 font-medium">One piece per</th>
+                <th className="py-1 pr-2 font-medium">Build ×</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {assemblies.map(assembly => (
+                <tr key={assembly.id} className={`border-b border-gray-100 ${assembly.enabled ? '' : 'text-gray-400'}`}>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="checkbox"
+                      checked={assembly.enabled}
+                      onChange={(e) => updateAssembly(assembly.id, { enabled: e.target.checked })}
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="text"
+                      value={assembly.name}
+                      onChange={(e) => updateAssembly(assembly.id, { name: e.target.value })}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                  </td>
+                  <td className="py-1 pr-2">{assembly.objects ? assembly.objects.length : '…'}</td>
+                  <td className="py-1 pr-2">
+                    <select
+                      value={assembly.unit}
+                      onChange={(e) => updateAssembly(assembly.id, { unit: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                      {lengthUnits.map(({ unit, label }) => (
+                        <option key={unit} value={unit}>{label} ({unit})</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-1 pr-2">
+                    <select
+                      value={assembly.pieceStatement}
+                      onChange={(e) => updateAssemblyStatement(assembly.id, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="o">Object (o)</option>
+                      <option value="g">Group (g)</option>
+                    </select>
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={assembly.quantity}
+                      onChange={(e) => updateAssembly(assembly.id, { quantity: Math.max(0, parseInt(e.target.value) || 0) })}
+                      className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                  </td>
+                  <td className="py-1 text-right">
+                    <button
+                      onClick={() => removeAssembly(assembly.id)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            Active sub-assemblies are planned together and shown in one 3D view. "Build ×" counts every piece of the file that many times, e.g. 3 for three drawers. Units are read from the file's "# Units" comment when present.
+          </p>
+        </div>
+      )}
+
+      {/* Manual Cut List */}
+      <div className="bg-gray-50 p-4 rounded-lg mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2">
+            <ClipboardList size={20} className="text-gray-600" />
+            <h3 className="font-semibold text-gray-800">Manual Cut List ({manualPieces.reduce((sum, row) => sum + (row.quantity || 0), 0)} pieces)</h3>
+          </div>
+          <div className="flex items-center gap-2">
+            {manualPieces.length > 0 && (
+              <button
+                onClick={() => updateManualPieces(manualPieces)}
+                className="px-3 py-1 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition-colors"
+              >
+                Update Plan
+              </button>
+            )}
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt"
+              onChange={handleCutListUpload}
+              className="hidden"
+              id="cut-list-upload"
+            />
+            <label
+              htmlFor="cut-list-upload"
+              className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-700 cursor-pointer transition-colors"
+            >
+              Import CSV
+            </label>
+            <button
+              onClick={addManualPiece}
+              className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors"
+            >
+              + Add Piece
+            </button>
+          </div>
+        </div>
+
+        {manualPieces.length > 0 && (
+          <table className="w-full text-sm mb-3">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 pr-2 font-medium">Name</th>
+                <th className="py-1 pr-2 font-medium">Length (mm)</th>
+                <th className="py-1 pr-2 font-medium">Width (mm)</th>
+                <th className="py-1 pr-2 font-medium">Thickness (mm)</th>
+                <th className="py-1 pr-2 font-medium">Quantity</th>
+                <th className="py-1 pr-2 font-medium">Material</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {manualPieces.map(row => (
+                <tr key={row.id}>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="text"
+                      value={row.name}
+                      onChange={(e) => updateManualPiece(row.id, 'name', e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                  </td>
+                  {['length', 'width', 'thickness'].map(field => (
+                    <td key={field} className="py-1 pr-2">
+                      <input
+                        type="number"
+                        value={row[field]}
+                        onChange={(e) => updateManualPiece(row.id, field, parseFloat(e.target.value) || 0)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                      />
+                    </td>
+                  ))}
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      min="1"
+                      value={row.quantity}
+                      onChange={(e) => updateManualPiece(row.id, 'quantity', parseInt(e.target.value) || 0)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <select
+                      value={findMaterialByName(row.material)?.name || ''}
+                      onChange={(e) => updateManualPiece(row.id, 'material', e.target.value)}
+                      className="w-full px-2 py-1 border border-gray-300 rounded text-sm bg-white"
+                    >
+                      <option value="">
+                        {row.material && !findMaterialByName(row.material)
+                          ? `${row.material} - not in stock list, automatic`
+                          : 'Automatic (best fit)'}
+                      </option>
+                      {materialSettings.map(m => (
+                        <option key={m.id} value={m.name}>{m.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-1 text-right">
+                    <button
+                      onClick={() => removeManualPiece(row.id)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <textarea
+          value={cutListText}
+          onChange={(e) => setCutListText(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded text-sm font-mono"
+          rows="3"
+          placeholder={`Paste rows from a spreadsheet or CSV: ${CUT_LIST_COLUMNS.join(', ')}\nShelf, 800, 300, 18, 4, Pine board`}
+        />
+        <div className="mt-2 flex items-center justify-between gap-2">
+          <p className="text-xs text-gray-500">
+            Sizes in mm; material is optional and must match a raw material name. A header row is recognized, and tab, comma or semicolon separated rows work.
+          </p>
+          <button
+            onClick={() => importCutList(cutListText) && setCutListText('')}
+            disabled={!cutListText.trim()}
+            className="px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex-shrink-0"
+          >
+            Add Pasted Rows
+          </button>
+        </div>
+        <div className="mt-2 p-2 bg-blue-50 rounded text-xs text-blue-800">
+          <strong>📋 Cut list:</strong> These pieces are planned together with the pieces of an uploaded model, or on their own without a model. Their grain runs along the entered length.
+        </div>
+      </div>
+
       {/* Project Management */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
         {/* Project Notes */}
@@ -1196,33 +2421,261 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
               <Printer size={16} />
               Print Cutting Plan
             </button>
+            
+            {/* Confirm as cut */}
+            <button
+              onClick={confirmPlanAsCut}
+              disabled={!analysisComplete || cuttingPlan.length === 0 || planConfirmed}
+              className="w-full px-3 py-2 bg-amber-600 text-white rounded-md hover:bg-amber-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2 text-sm"
+              title="Removes used remnants from the rack and adds this plan's offcuts to it"
+            >
+              <Scissors size={16} />
+              {planConfirmed ? 'Plan Confirmed as Cut' : 'Confirm Plan as Cut'}
+            </button>
           </div>
         </div>
       </div>
 
       {/* Analysis Status */}
-      {isAnalyzing && (
+      {(isAnalyzing || planProgress) && (
         <div className="text-center py-8">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-          <p className="text-gray-600">Analyzing OBJ file and calculating smart orientations...</p>
+          <p className="text-gray-600">
+            {!progress
+              ? 'Analyzing model file and calculating smart orientations...'
+              : `${progressLabels[progress.phase]}... ${Math.round(progress.progress * 100)}%`}
+          </p>
+          {progress && (
+            <>
+              <div className="w-64 h-2 bg-gray-200 rounded mx-auto mt-3 overflow-hidden">
+                <div
+                  className="h-full bg-blue-600 transition-all"
+                  style={{ width: `${Math.round(progress.progress * 100)}%` }}
+                ></div>
+              </div>
+              <button
+                onClick={cancelModelLoad}
+                className="mt-3 px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-700 transition-colors"
+              >
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Model materials (usemtl) mapped to stock */}
+      {getModelMaterials().length > 0 && (
+        <div className="bg-white p-4 rounded-lg border border-gray-200 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-gray-800">Model Materials ({getModelMaterials().length})</h3>
+            <div className="flex items-center gap-3 text-sm">
+              {Object.keys(mtlColors).length > 0 && (
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={showMtlColors}
+                    onChange={(e) => setShowMtlColors(e.target.checked)}
+                  />
+                  Show MTL colors in 3D view
+                </label>
+              )}
+              <input
+                type="file"
+                accept=".mtl"
+                multiple
+                onChange={handleMtlUpload}
+                className="hidden"
+                id="mtl-upload"
+              />
+              <label
+                htmlFor="mtl-upload"
+                className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-700 cursor-pointer transition-colors"
+              >
+                {getMaterialLibraries().length > 0
+                  ? `Load ${[...new Set(getMaterialLibraries().map(getLibraryFileName))].join(', ')}`
+                  : 'Load MTL Colors'}
+              </label>
+            </div>
+          </div>
+          {getMaterialLibraries().length > 0 && getModelMaterials().every(({ name }) => !mtlColors[name]) && (
+            <div className="mb-3 text-sm text-gray-600">
+              The model takes its material colors from {getMaterialLibraries().join(', ')}. Load {getMaterialLibraries().length > 1 ? 'these files' : 'this file'} to show them in the 3D view.
+            </div>
+          )}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-1 pr-2">Model material</th>
+                <th className="py-1 pr-2">Pieces</th>
+                <th className="py-1">Stock</th>
+              </tr>
+            </thead>
+            <tbody>
+              {getModelMaterials().map(({ name, count }) => (
+                <tr key={name} className="border-b border-gray-100">
+                  <td className="py-1 pr-2">
+                    {mtlColors[name] && (
+                      <span
+                        className="inline-block w-3 h-3 mr-2 rounded border border-gray-400 align-middle"
+                        style={{ backgroundColor: mtlColors[name] }}
+                      ></span>
+                    )}
+                    {name}
+                  </td>
+                  <td className="py-1 pr-2">{count}</td>
+                  <td className="py-1">
+                    <select
+                      value={materialMapping[name] ?? ''}
+                      onChange={(e) => updateMaterialMapping(name, e.target.value ? parseInt(e.target.value) : null)}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="">Automatic (best fit)</option>
+                      {materialSettings.map(material => (
+                        <option key={material.id} value={material.id}>{material.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            Pieces with a mapped material are always cut from that stock. The mapping is saved with the project.
+          </p>
         </div>
       )}
 
       {/* 3D Model Viewer */}
-      {objFileContent && !isAnalyzing && (
+      {assemblies.some(a => a.enabled && a.objects) && !isAnalyzing && (
         <div className="mb-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center gap-2">
             <Box size={20} />
             3D Model View {analysisComplete && '(Color-coded by piece)'}
           </h3>
           <OBJViewer3D 
-            objContent={objFileContent} 
+            assemblies={assemblies.filter(a => a.enabled && a.objects)}
             pieces={pieces} 
             getPieceColor={getPieceColor}
+            colorOverrides={showMtlColors ? getMtlObjectColors() : null}
+            highlightedObjectIds={highlightedGroup ? getGroupObjectIds(highlightedGroup) : []}
+            focusTrigger={viewerFocus}
+            onSelectObject={selectModelObject}
+            describeObject={describeObject}
+            cuttingPlan={cuttingPlan}
+            assemblySteps={assemblySteps}
           />
           <div className="mt-2 text-sm text-gray-600">
-            • Drag to rotate • Scroll to zoom • Right-click drag to pan
+            • Drag to rotate • Scroll to zoom • Right-click drag to pan • Click a piece to find it in the list and the cutting plan
+          </div>
+        </div>
+      )}
+
+      {/* Assembly Steps */}
+      {assemblies.some(a => a.enabled && a.objects) && !isAnalyzing && (
+        <div className="bg-white p-4 rounded-lg border border-gray-200 mb-6">
+          <div className="flex items-center justify-between gap-2 mb-3">
+            <div className="flex items-center gap-2">
+              <ListOrdered size={20} className="text-gray-600" />
+              <h3 className="font-semibold text-gray-800">Assembly Steps ({assemblySteps.length})</h3>
+            </div>
+            <div className="flex items-center gap-2 text-sm">
+              <button
+                onClick={suggestSteps}
+                className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+              >
+                Suggest Steps (Bottom to Top)
+              </button>
+              <button
+                onClick={printAssemblySteps}
+                disabled={assemblySteps.length === 0}
+                className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-1"
+              >
+                <Printer size={14} />
+                Print Step Sheet
+              </button>
+            </div>
           </div>
+          
+          {assemblySteps.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No steps yet. Suggest steps to build the model from the bottom up, then reorder them and play them back in the 3D view.
+            </p>
+          ) : (
+            <ol className="space-y-2">
+              {assemblySteps.map((step, index) => (
+                <li key={step.id} className="border border-gray-200 rounded p-2">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="text-sm font-semibold text-gray-700 w-14 flex-shrink-0">Step {index + 1}</span>
+                    <input
+                      type="text"
+                      value={step.title}
+                      onChange={(e) => updateAssemblyStep(step.id, { title: e.target.value })}
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                    <button
+                      onClick={() => moveAssemblyStep(index, -1)}
+                      disabled={index === 0}
+                      className="px-2 text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                      title="Move up"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveAssemblyStep(index, 1)}
+                      disabled={index === assemblySteps.length - 1}
+                      className="px-2 text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      onClick={() => removeAssemblyStep(step.id)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600 ml-16">
+                    {step.objectIds.map(objectId => {
+                      const group = getObjectPiece(objectId);
+                      return (
+                        <span key={objectId} className="flex items-center gap-1">
+                          <span
+                            className="w-3 h-3 rounded border border-gray-400 flex-shrink-0"
+                            style={{ backgroundColor: group ? getPieceColor(group) : '#808080' }}
+                          ></span>
+                          {getObjectLabel(objectId)}
+                          <select
+                            value={step.id}
+                            onChange={(e) => moveObjectToStep(objectId, Number(e.target.value))}
+                            className="ml-1 border border-gray-300 rounded text-xs"
+                            title="Move to step"
+                          >
+                            {assemblySteps.map((target, targetIndex) => (
+                              <option key={target.id} value={target.id}>{targetIndex + 1}</option>
+                            ))}
+                          </select>
+                        </span>
+                      );
+                    })}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+          
+          {assemblySteps.length > 0 && getUnassignedObjectIds().length > 0 && (
+            <div className="mt-2 text-sm text-amber-700 flex items-center gap-2">
+              {getUnassignedObjectIds().length} objects are not in any step
+              <button
+                onClick={() => addAssemblyStep(getUnassignedObjectIds())}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Add them as the last step
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -1241,7 +2694,7 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
             ))}
           </div>
           <div className="mt-3 text-sm text-red-600">
-            Consider using larger raw material or splitting these pieces.
+            Consider using larger raw material, splitting these pieces or adding stock.
           </div>
         </div>
       )}
@@ -1251,16 +2704,50 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
         <div className="mb-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center gap-2">
             <Calculator size={20} />
-            Detected Pieces ({pieces.filter(p => p.canFit).reduce((sum, p) => sum + p.count, 0)} fit, {pieces.filter(p => !p.canFit).reduce((sum, p) => sum + p.count, 0)} don't fit)
+            {(() => {
+              const { placed, outOfStock } = getPlacedPieceCounts();
+              const unfit = pieces.filter(p => !p.canFit).reduce((sum, p) => sum + p.count, 0);
+              return `Detected Pieces (${placed} placed, ${outOfStock > 0 ? `${outOfStock} out of stock, ` : ''}${unfit} don't fit)`;
+            })()}
           </h3>
           
+          {/* Grouping done by hand */}
+          {(selectedGroups.length > 0 || Object.keys(groupOverrides).length > 0) && (
+            <div className="mb-3 flex items-center gap-2 text-sm">
+              {selectedGroups.length > 1 && (
+                <button
+                  onClick={mergeSelectedGroups}
+                  className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+                >
+                  Merge {selectedGroups.length} Selected Groups
+                </button>
+              )}
+              {selectedGroups.length > 0 && (
+                <button
+                  onClick={() => setSelectedGroups([])}
+                  className="px-3 py-1 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition-colors"
+                >
+                  Clear Selection
+                </button>
+              )}
+              {Object.keys(groupOverrides).length > 0 && (
+                <button
+                  onClick={() => updateGroupOverrides({})}
+                  className="px-3 py-1 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 transition-colors"
+                >
+                  Reset Grouping
+                </button>
+              )}
+            </div>
+          )}
+          
           {/* Pieces that fit */}
           {pieces.filter(p => p.canFit).length > 0 && (
             <div className="mb-4">
               <h4 className="text-sm font-semibold text-green-800 mb-2">✅ Pieces that fit in cutting plan:</h4>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
                 {pieces.filter(p => p.canFit).map((piece, index) => (
-                  <div key={index} className="bg-green-50 border-green-200 p-3 rounded border">
+                  <div key={index} className={`bg-green-50 border-green-200 p-3 rounded border ${piece.groupId && piece.groupId === highlightedGroup ? 'ring-2 ring-yellow-400' : ''}`}>
                     <div className="flex items-center gap-2 mb-1">
                       <div 
                         className="w-4 h-4 rounded border border-gray-400 flex-shrink-0"
@@ -1273,9 +2760,38 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
                     <div className="text-xs text-gray-600 mb-1">
                       Dimensions: {piece.cuttingLength}×{piece.finalWidth}×{piece.finalThickness}mm
                     </div>
+                    {piece.alignedDims && (
+                      <div className="text-xs text-gray-500 mb-1">
+                        Rotated in model, axis-aligned: {piece.alignedDims.join('×')}mm
+                      </div>
+                    )}
+                    {piece.manual && (
+                      <div className="text-xs text-gray-500 mb-1">
+                        From the manual cut list
+                      </div>
+                    )}
+                    {renderGroupDetails(piece)}
+                    {piece.shapeIssues && piece.shapeIssues.length > 0 && (
+                      <div className="text-xs text-amber-700 mb-1">
+                        ⚠️ Not a plain box: {piece.shapeIssues.join(', ')}
+                      </div>
+                    )}
+                    {formatRoughDims(piece) && (
+                      <div className="text-xs text-gray-500 mb-1">
+                        Rough: {formatRoughDims(piece)}mm
+                      </div>
+                    )}
+                    {piece.glueUp && (
+                      <div className="text-xs text-amber-700 mb-1">
+                        Glue-up: {piece.glueUp.layers * piece.glueUp.strips} parts per {piece.glueUp.source.length}×{piece.glueUp.source.width}×{piece.glueUp.source.thickness}mm piece
+                      </div>
+                    )}
                     <div className="text-xs text-blue-700 mb-1">
                       Material: {piece.material.name}
                     </div>
+                    <div className="text-xs text-gray-500 mb-1">
+                      Grain: {renderGrainSelect(piece)}
+                    </div>
                     <div className="text-xs text-gray-500">
                       Quantity: {piece.count}
                     </div>
@@ -1291,15 +2807,34 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
               <h4 className="text-sm font-semibold text-red-800 mb-2">❌ Pieces that don't fit (excluded from cutting plan):</h4>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
                 {pieces.filter(p => !p.canFit).map((piece, index) => (
-                  <div key={index} className="bg-red-50 border-red-200 p-3 rounded border">
+                  <div key={index} className={`bg-red-50 border-red-200 p-3 rounded border ${piece.groupId && piece.groupId === highlightedGroup ? 'ring-2 ring-yellow-400' : ''}`}>
                     <div className="font-medium text-gray-900 text-sm mb-1">
                       {piece.name.replace(/[()0-9]/g, '').trim() || `Piece ${index + 1}`}
                     </div>
                     <div className="text-xs text-gray-600 mb-1">
                       Original: {piece.originalDims[0]}×{piece.originalDims[1]}×{piece.originalDims[2]}mm
                     </div>
+                    {piece.alignedDims && (
+                      <div className="text-xs text-gray-500 mb-1">
+                        Rotated in model, axis-aligned: {piece.alignedDims.join('×')}mm
+                      </div>
+                    )}
+                    {piece.manual && (
+                      <div className="text-xs text-gray-500 mb-1">
+                        From the manual cut list
+                      </div>
+                    )}
+                    {renderGroupDetails(piece)}
+                    {piece.shapeIssues && piece.shapeIssues.length > 0 && (
+                      <div className="text-xs text-amber-700 mb-1">
+                        ⚠️ Not a plain box: {piece.shapeIssues.join(', ')}
+                      </div>
+                    )}
                     <div className="text-xs text-red-700">
-                      Cannot fit in any available material cross-section
+                      {piece.fitIssue || 'Cannot fit in any available material cross-section'}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      Grain: {renderGrainSelect(piece)}
                     </div>
                     <div className="text-xs text-gray-500 mt-1">
                       Quantity: {piece.count}
@@ -1326,15 +2861,15 @@ Original: ${piece.originalDims[0]}×${piece.originalDims[1]}×${piece.originalDi
       {renderCuttingPlan()}
 
       {/* Help Text */}
-      {!objFile && (
+      {assemblies.length === 0 && (
         <div className="mt-8 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
           <h4 className="font-semibold text-yellow-800 mb-2">💡 How the Smart Multi-Material System Works:</h4>
           <ul className="text-sm text-yellow-700 space-y-1">
             <li>1. <strong>Define materials:</strong> Add multiple raw materials with different dimensions</li>
-            <li>2. <strong>Upload OBJ file:</strong> The system will detect all pieces in your design</li>
+            <li>2. <strong>Upload OBJ file:</strong> The system will detect all pieces in your design (or type, paste or import a CSV cut list)</li>
             <li>3. <strong>Smart material selection:</strong> Each piece tests all materials to find the best fit</li>
             <li>4. <strong>Orientation optimization:</strong> 6 orientations tested per material for each piece</li>
-            <li>5. <strong>Efficiency priority:</strong> Chooses the combination that minimizes cutting waste</li>
+            <li>5. <strong>Cost priority:</strong> Chooses the material assignment with the lowest total cost (or fewest planks when no prices are set), e.g. filling leftovers on planks that are needed anyway</li>
             <li>6. <strong>Automatic assignment:</strong> No manual selection needed - everything is optimized</li>
             <li>7. <strong>Generate plan:</strong> View the optimized cutting sequence grouped by material</li>
           </ul>
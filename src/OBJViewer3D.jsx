@@ -1,7 +1,38 @@
 import React, { useRef, useMemo, useEffect, useState } from 'react';
-import { Canvas, useThree } from '@react-three/fiber';
-import { OrbitControls, PerspectiveCamera } from '@react-three/drei';
+import { Canvas, useThree, useFrame } from '@react-three/fiber';
+import { OrbitControls, PerspectiveCamera, Html, Line, Edges } from '@react-three/drei';
 import * as THREE from 'three';
+import { getUnitScale } from './units';
+
+// Point the camera at a box from an angle (close to isometric), far enough
+// away to see all of it. `margin` scales the distance.
+const frameBox = (camera, controls, boundingBox, margin = 1) => {
+  const center = new THREE.Vector3();
+  boundingBox.getCenter(center);
+  
+  const size = new THREE.Vector3();
+  boundingBox.getSize(size);
+  
+  const maxDim = Math.max(size.x, size.y, size.z);
+  const fov = camera.fov * (Math.PI / 180);
+  const distance = Math.abs(maxDim / 2 / Math.tan(fov / 2)) * 0.8 * margin;
+  
+  camera.position.set(
+    center.x + distance * 0.6,
+    center.y + distance * 0.8, 
+    center.z + distance * 0.6
+  );
+  
+  // Look at the center of the box
+  camera.lookAt(center);
+  camera.updateProjectionMatrix();
+  
+  // Update orbit controls target
+  if (controls) {
+    controls.target.copy(center);
+    controls.update();
+  }
+};
 
 // Component to handle camera positioning based on model bounds
 const CameraController = ({ boundingBox }) => {
@@ -9,176 +40,90 @@ const CameraController = ({ boundingBox }) => {
   
   useEffect(() => {
     if (boundingBox && !boundingBox.isEmpty()) {
-      const center = new THREE.Vector3();
-      boundingBox.getCenter(center);
-      
-      const size = new THREE.Vector3();
-      boundingBox.getSize(size);
-      
-      const maxDim = Math.max(size.x, size.y, size.z);
-      
-      // Position camera to see the entire model
-      const fov = camera.fov * (Math.PI / 180);
-      const distance = Math.abs(maxDim / 2 / Math.tan(fov / 2)) * 0.8;
-      
-      // Position camera at a nice angle - closer to isometric view
-      camera.position.set(
-        center.x + distance * 0.6,
-        center.y + distance * 0.8, 
-        center.z + distance * 0.6
-      );
-      
-      // Look at the center of the model
-      camera.lookAt(center);
-      camera.updateProjectionMatrix();
-      
-      // Update orbit controls target
-      if (controls) {
-        controls.target.copy(center);
-        controls.update();
-      }
-      
+      frameBox(camera, controls, boundingBox);
     }
   }, [boundingBox, camera, controls]);
   
   return null;
 };
 
-// Parse OBJ content and create geometries
-const parseOBJToGeometry = (objContent) => {
-  const lines = objContent.split('\n');
-  const objects = [];
-  let currentObject = null;
-  let vertices = [];
-  let allVertices = [];
-  
-  for (let line of lines) {
-    line = line.trim();
-    
-    if (line.startsWith('v ')) {
-      // Vertex position
-      const coords = line.substring(2).trim().split(/\s+/).map(n => parseFloat(n));
-      if (coords.length >= 3 && !isNaN(coords[0]) && !isNaN(coords[1]) && !isNaN(coords[2])) {
-        allVertices.push(new THREE.Vector3(coords[0], coords[1], coords[2]));
-      }
-    } else if (line.startsWith('o ')) {
-      // New object
-      if (currentObject && currentObject.faces.length > 0) {
-        objects.push(currentObject);
-      }
-      const objectName = line.substring(2).trim();
-      currentObject = {
-        name: objectName,
-        vertices: [],
-        faces: []
-      };
-    } else if (line.startsWith('f ')) {
-      // Face definition
-      if (!currentObject) {
-        currentObject = {
-          name: 'default',
-          vertices: [],
-          faces: []
-        };
-      }
-      
-      const faceData = line.substring(2).trim().split(/\s+/);
-      const faceIndices = faceData.map(vertex => {
-        // Handle v/vt/vn, v//vn, v/vt, or just v formats
-        const parts = vertex.split('/');
-        const vertexIndex = parseInt(parts[0]);
-        // Convert to 0-based index
-        return vertexIndex > 0 ? vertexIndex - 1 : allVertices.length + vertexIndex;
-      });
-      
-      // Create triangles from face
-      if (faceIndices.length === 3) {
-        currentObject.faces.push(faceIndices);
-      } else if (faceIndices.length === 4) {
-        // Convert quad to two triangles
-        currentObject.faces.push([faceIndices[0], faceIndices[1], faceIndices[2]]);
-        currentObject.faces.push([faceIndices[0], faceIndices[2], faceIndices[3]]);
-      } else if (faceIndices.length > 4) {
-        // Fan triangulation for polygons with more than 4 vertices
-        for (let i = 1; i < faceIndices.length - 1; i++) {
-          currentObject.faces.push([faceIndices[0], faceIndices[i], faceIndices[i + 1]]);
-        }
-      }
-    }
-  }
-  
-  // Add the last object
-  if (currentObject && currentObject.faces.length > 0) {
-    objects.push(currentObject);
-  }
-  
-  
-  // Convert to Three.js geometries
-  const geometries = [];
-  
-  objects.forEach((obj, objIndex) => {
-    
-    if (obj.faces.length > 0) {
-      const geometry = new THREE.BufferGeometry();
-      const positions = [];
-      const normals = [];
-      
-      // Extract vertices for faces
-      obj.faces.forEach((face, faceIndex) => {
-        // Get the three vertices of the triangle
-        const v1 = allVertices[face[0]];
-        const v2 = allVertices[face[1]];
-        const v3 = allVertices[face[2]];
-        
-        if (v1 && v2 && v3) {
-          // Add vertices
-          positions.push(v1.x, v1.y, v1.z);
-          positions.push(v2.x, v2.y, v2.z);
-          positions.push(v3.x, v3.y, v3.z);
-          
-          // Calculate normal
-          const edge1 = new THREE.Vector3().subVectors(v2, v1);
-          const edge2 = new THREE.Vector3().subVectors(v3, v1);
-          const normal = new THREE.Vector3().crossVectors(edge1, edge2).normalize();
-          
-          // Add the same normal for all three vertices
-          normals.push(normal.x, normal.y, normal.z);
-          normals.push(normal.x, normal.y, normal.z);
-          normals.push(normal.x, normal.y, normal.z);
-        } else {
-        }
-      });
-      
-      if (positions.length > 0) {
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        geometry.computeBoundingBox();
-        
-        
-        geometries.push({
-          geometry: geometry,
-          name: obj.name || `Piece_${objIndex}`,
-          position: new THREE.Vector3(0, 0, 0)
-        });
-      } else {
-      }
+// Create geometries from the pieces measured by the model worker (one per
+// piece, same pieces as the planner), in model units
+const buildGeometries = (objects) => objects.map(object => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(object.positions, 3));
+  // Flat shading: triangles do not share vertices, so every face keeps its own normal
+  geometry.computeVertexNormals();
+  return { geometry, name: object.name };
+});
+
+// How far (mm) the exploded view moves a piece: away from the scene center,
+// by `explode` times the distance between the centers
+const getExplodeOffset = (bounds, unitScale, sceneCenter, explode) => new THREE.Vector3(...bounds.min)
+  .add(new THREE.Vector3(...bounds.max))
+  .multiplyScalar(unitScale / 2)
+  .sub(sceneCenter)
+  .multiplyScalar(explode);
+
+// Bounding box of the active sub-assemblies in millimeters, optionally only of
+// the objects whose id passes `include` and with the pieces exploded from
+// `sceneCenter`
+const getSceneBounds = (assemblies, include = null, explode = 0, sceneCenter = null) => {
+  const box = new THREE.Box3();
+  assemblies.forEach(assembly => {
+    const unitScale = getUnitScale(assembly.unit);
+    assembly.objects.forEach(({ bounds }, index) => {
+      if (include && !include(`${assembly.id}:${index}`)) return;
+      const offset = explode && sceneCenter
+        ? getExplodeOffset(bounds, unitScale, sceneCenter, explode)
+        : new THREE.Vector3();
+      box.expandByPoint(new THREE.Vector3(...bounds.min).multiplyScalar(unitScale).add(offset));
+      box.expandByPoint(new THREE.Vector3(...bounds.max).multiplyScalar(unitScale).add(offset));
+    });
+  });
+  return box;
+};
+
+// Corner of the clicked triangle nearest to the click, in world coordinates
+// (millimeters), so measurements start and end exactly on the model
+const snapToVertex = (e) => {
+  const position = e.object.geometry.attributes.position;
+  let nearest = null;
+  let nearestDistance = Infinity;
+  [e.face.a, e.face.b, e.face.c].forEach(index => {
+    const vertex = e.object.localToWorld(new THREE.Vector3().fromBufferAttribute(position, index));
+    const distance = vertex.distanceTo(e.point);
+    if (distance < nearestDistance) {
+      nearest = vertex;
+      nearestDistance = distance;
     }
   });
-  
-  return geometries;
+  return nearest;
 };
 
-// Component to render individual piece
-const OBJPiece = ({ geometry, color, position, name }) => {
+// Component to render individual piece. Selected pieces glow, the others are
+// dimmed while something is selected. Ghosted pieces (hidden in transparency
+// mode) are drawn faintly and do not react to the mouse.
+const OBJPiece = ({ geometry, color, position, name, highlighted = false, dimmed = false, ghosted = false, onClick, onPointerMove, onPointerOut }) => {
   const meshRef = useRef();
   
   return (
-    <mesh ref={meshRef} geometry={geometry} position={position}>
+    <mesh
+      ref={meshRef}
+      geometry={geometry}
+      position={position}
+      name={name}
+      onClick={onClick}
+      onPointerMove={onPointerMove}
+      onPointerOut={onPointerOut}
+    >
       <meshPhongMaterial 
         color={color} 
+        emissive={highlighted ? '#555555' : '#000000'}
         side={THREE.DoubleSide}
         transparent={true}
-        opacity={0.9}
+        opacity={ghosted ? 0.08 : (dimmed ? 0.2 : 0.9)}
+        depthWrite={!dimmed && !ghosted}
         polygonOffset={true}
         polygonOffsetFactor={1}
         polygonOffsetUnits={1}
@@ -196,9 +141,8 @@ const ModelAlignedGrid = ({ boundingBox }) => {
       const size = new THREE.Vector3();
       boundingBox.getSize(size);
       
-      // Position grid at the bottom of the centered model
-      // Since model is centered at origin, bottom is at -size.y/2
-      return [0, -size.y/2, 0];
+      // Position grid at the bottom of the centered (and maybe exploded) model
+      return [0, boundingBox.min.y, 0];
     }
     return [0, -2000, 0]; // fallback
   }, [boundingBox]);
@@ -206,70 +150,409 @@ const ModelAlignedGrid = ({ boundingBox }) => {
   return <gridHelper args={[10000, 50, '#888888', '#cccccc']} position={gridPosition} />;
 };
 
-// Main 3D model component
-const OBJModel = ({ objContent, pieceColors }) => {
-  const modelRef = useRef();
+// One sub-assembly (model file). Its geometries are in model units, the
+// scene is in millimeters. `getVisibility` tells for every object whether it
+// is 'shown', 'ghosted' or 'hidden'.
+const AssemblyModel = ({ assembly, pieceColors, colorOverrides, highlighted, sceneCenter, explode, getVisibility, onSelectObject, onMeasurePoint, onHover }) => {
+  const geometries = useMemo(() => buildGeometries(assembly.objects), [assembly.objects]);
   
-  // Parse OBJ content into geometries
-  const { geometries, boundingBox } = useMemo(() => {
-    if (!objContent) return { geometries: [], boundingBox: null };
-    
-    try {
-      const geos = parseOBJToGeometry(objContent);
-      
-      // Scale to millimeters (OBJ is in meters, we want to display in mm)
-      const scaleFactor = 1000;
-      geos.forEach(g => {
-        g.geometry.scale(scaleFactor, scaleFactor, scaleFactor);
-        g.position.multiplyScalar(scaleFactor);
-      });
-      
-      // Calculate overall bounding box
-      const finalBox = new THREE.Box3();
-      geos.forEach(g => {
-        g.geometry.computeBoundingBox();
-        const tempBox = g.geometry.boundingBox.clone();
-        tempBox.translate(g.position);
-        finalBox.union(tempBox);
-      });
-      
-      return { geometries: geos, boundingBox: finalBox };
-    } catch (error) {
-      return { geometries: [], boundingBox: null };
-    }
-  }, [objContent]);
-  
-  // Center the model
-  const modelCenter = useMemo(() => {
-    if (!boundingBox || boundingBox.isEmpty()) return new THREE.Vector3(0, 0, 0);
-    const center = new THREE.Vector3();
-    boundingBox.getCenter(center);
-    return center.negate();
-  }, [boundingBox]);
+  // Free the GPU buffers of a model that is no longer shown
+  useEffect(() => () => {
+    geometries.forEach(g => g.geometry.dispose());
+  }, [geometries]);
   
-  if (geometries.length === 0) {
-    return null;
-  }
+  const unitScale = getUnitScale(assembly.unit);
   
   return (
-    <group ref={modelRef} position={modelCenter}>
+    <group scale={unitScale}>
       {geometries.map((item, index) => {
-        const color = pieceColors[item.name] || pieceColors[index] || '#808080';
+        const objectId = `${assembly.id}:${index}`;
+        const visibility = getVisibility(objectId);
+        if (visibility === 'hidden') return null;
+        const ghosted = visibility === 'ghosted';
+        
+        const color = (colorOverrides && (colorOverrides[objectId] || colorOverrides[item.name])) ||
+          pieceColors[objectId] || pieceColors[item.name] || pieceColors[index] || '#808080';
+        // The group is scaled to millimeters, so the offset goes back to model units
+        const position = explode > 0
+          ? getExplodeOffset(assembly.objects[index].bounds, unitScale, sceneCenter, explode).divideScalar(unitScale).toArray()
+          : [0, 0, 0];
         return (
           <OBJPiece
             key={index}
             geometry={item.geometry}
             color={color}
-            position={item.position}
+            position={position}
             name={item.name}
+            highlighted={highlighted.has(objectId)}
+            dimmed={highlighted.size > 0 && !highlighted.has(objectId)}
+            ghosted={ghosted}
+            onClick={ghosted ? undefined : (e) => {
+              // Only the nearest piece, and not at the end of a drag that rotated the view
+              e.stopPropagation();
+              if (e.delta > 4) return;
+              if (onMeasurePoint) {
+                // Points are kept where they are in the assembled model, so the
+                // exploded view does not change measured distances
+                const point = snapToVertex(e);
+                if (explode > 0) point.sub(getExplodeOffset(assembly.objects[index].bounds, unitScale, sceneCenter, explode));
+                onMeasurePoint({ objectId, point });
+              } else if (onSelectObject) {
+                onSelectObject(objectId);
+              }
+            }}
+            onPointerMove={ghosted ? undefined : (e) => {
+              e.stopPropagation();
+              onHover({ objectId, x: e.nativeEvent.offsetX, y: e.nativeEvent.offsetY });
+            }}
+            onPointerOut={ghosted ? undefined : () => onHover(null)}
           />
         );
       })}
-      <CameraController boundingBox={boundingBox} />
     </group>
   );
 };
 
+// Floating name and size labels at the centers of the shown pieces. `labels`
+// maps object ids to their final size.
+const PieceLabels = ({ assemblies, labels, sceneCenter, explode, getVisibility }) => (
+  <>
+    {assemblies.flatMap(assembly => {
+      const unitScale = getUnitScale(assembly.unit);
+      return assembly.objects.map(({ name, bounds }, index) => {
+        const objectId = `${assembly.id}:${index}`;
+        if (getVisibility(objectId) !== 'shown') return null;
+        const position = new THREE.Vector3(...bounds.min)
+          .add(new THREE.Vector3(...bounds.max))
+          .multiplyScalar(unitScale / 2)
+          .add(getExplodeOffset(bounds, unitScale, sceneCenter, explode));
+        return (
+          <Html key={objectId} position={position.toArray()} center style={{ pointerEvents: 'none' }}>
+            <div className="bg-white bg-opacity-80 border border-gray-300 rounded px-1 text-xs text-gray-800 whitespace-nowrap text-center leading-tight">
+              {[name, labels[objectId]].filter(Boolean).map((line, lineIndex) => (
+                <div key={lineIndex} className={lineIndex === 0 ? 'font-semibold' : ''}>{line}</div>
+              ))}
+            </div>
+          </Html>
+        );
+      });
+    })}
+  </>
+);
+
+// Measured points as drawn (world coordinates, mm) with the line between them and
+// the measured `distance`, which is taken in the assembled model
+const MeasureOverlay = ({ points, distance, markerSize }) => {
+  if (points.length === 0) return null;
+  const [start, end] = points;
+  return (
+    <>
+      {points.map((point, index) => (
+        <mesh key={index} position={point.toArray()}>
+          <sphereGeometry args={[markerSize, 16, 16]} />
+          <meshBasicMaterial color="#dc2626" depthTest={false} />
+        </mesh>
+      ))}
+      {end && (
+        <>
+          <Line points={[start.toArray(), end.toArray()]} color="#dc2626" lineWidth={2} depthTest={false} />
+          <Html position={start.clone().lerp(end, 0.5).toArray()} center style={{ pointerEvents: 'none' }}>
+            <div className="bg-red-600 text-white rounded px-1 text-xs font-mono whitespace-nowrap">
+              {distance.toFixed(1)}mm
+            </div>
+          </Html>
+        </>
+      )}
+    </>
+  );
+};
+
+// Main 3D model component: all active sub-assemblies in one scene, placed as
+// in their files and moved by `offset` so the scene is centered at the origin.
+// `explode` (0 = assembled) pushes the pieces outward from the center.
+// `labels` (object id → final size) shows floating labels; with `onMeasurePoint`
+// clicks pick measuring points instead of pieces.
+const OBJModel = ({ assemblies, offset, viewBounds, pieceColors, colorOverrides, highlighted, explode = 0, getVisibility, labels = null, onSelectObject, onMeasurePoint = null, onHover }) => {
+  const sceneCenter = useMemo(() => offset.clone().negate(), [offset]);
+  
+  const modelRef = useRef();
+  
+  if (assemblies.length === 0) {
+    return null;
+  }
+  
+  return (
+    <>
+      <group ref={modelRef} position={offset}>
+        {assemblies.map(assembly => (
+          <AssemblyModel
+            key={assembly.id}
+            assembly={assembly}
+            pieceColors={pieceColors}
+            colorOverrides={colorOverrides}
+            highlighted={highlighted}
+            sceneCenter={sceneCenter}
+            explode={explode}
+            getVisibility={getVisibility}
+            onSelectObject={onSelectObject}
+            onMeasurePoint={onMeasurePoint}
+            onHover={onHover}
+          />
+        ))}
+        {labels && (
+          <PieceLabels
+            assemblies={assemblies}
+            labels={labels}
+            sceneCenter={sceneCenter}
+            explode={explode}
+            getVisibility={getVisibility}
+          />
+        )}
+      </group>
+      <CameraController boundingBox={viewBounds} />
+    </>
+  );
+};
+
+// Space between the boards of the stock view (mm)
+const STOCK_GAP = 100;
+
+// Duration of the morph from the model onto the boards (seconds)
+const MORPH_SECONDS = 2;
+
+// Time every assembly step is shown while the steps play (seconds)
+const STEP_SECONDS = 2;
+
+// Boards of the cutting plan side by side on the floor (y = `floorY`), each
+// as { plank, center, size }, and the pieces cut from them as blocks
+// { key, piece, plank, center, size, quaternion, objectId }. Boards run along x
+// (length), their width along z and their thickness up. Every block gets one of
+// the model objects of its group, so it can morph from that object.
+const layoutStock = (planks, pieces, floorY) => {
+  const totalWidth = planks.reduce((sum, plank) => sum + plank.width, 0) + STOCK_GAP * Math.max(0, planks.length - 1);
+  const groupObjects = {};
+  (pieces || []).forEach(piece => {
+    if (piece.objectIds && !groupObjects[piece.groupId]) groupObjects[piece.groupId] = piece.objectIds;
+  });
+  const used = {};
+  
+  let z = -totalWidth / 2;
+  const boards = [];
+  const blocks = [];
+  planks.forEach(plank => {
+    const thickness = plank.material.thickness;
+    const boardZ = z + plank.width / 2;
+    boards.push({
+      plank,
+      center: new THREE.Vector3(0, floorY + thickness / 2, boardZ),
+      size: new THREE.Vector3(plank.length, thickness, plank.width)
+    });
+    plank.pieces.forEach((piece, index) => {
+      const pieceThickness = piece.roughThickness ?? piece.finalThickness;
+      const objectIds = groupObjects[piece.groupId] || [];
+      const occurrence = used[piece.groupId] || 0;
+      used[piece.groupId] = occurrence + 1;
+      blocks.push({
+        key: `${plank.number}-${index}`,
+        piece,
+        plank,
+        center: new THREE.Vector3(
+          -plank.length / 2 + piece.x + piece.placedLength / 2,
+          floorY + pieceThickness / 2,
+          boardZ - plank.width / 2 + piece.y + piece.placedWidth / 2
+        ),
+        size: new THREE.Vector3(piece.placedLength, pieceThickness, piece.placedWidth),
+        quaternion: new THREE.Quaternion(),
+        objectId: objectIds.length > 0 ? objectIds[occurrence % objectIds.length] : null
+      });
+    });
+    z += plank.width + STOCK_GAP;
+  });
+  return { boards, blocks };
+};
+
+// Model objects as oriented boxes { center, axes, extents } in view
+// coordinates (the measured box of every object), the start of the morph
+const getObjectBoxes = (assemblies, offset) => {
+  const boxes = {};
+  assemblies.forEach(assembly => {
+    const unitScale = getUnitScale(assembly.unit);
+    assembly.objects.forEach(({ bounds, dims }, index) => {
+      const min = new THREE.Vector3(...bounds.min).multiplyScalar(unitScale);
+      const max = new THREE.Vector3(...bounds.max).multiplyScalar(unitScale);
+      const aligned = max.clone().sub(min);
+      boxes[`${assembly.id}:${index}`] = dims.axes
+        ? {
+          center: new THREE.Vector3(...dims.center).multiplyScalar(unitScale).add(offset),
+          axes: dims.axes.map(axis => new THREE.Vector3(...axis)),
+          extents: [dims.x, dims.y, dims.z].map(size => size * unitScale)
+        }
+        : {
+          center: min.clone().add(max).multiplyScalar(0.5).add(offset),
+          axes: [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)],
+          extents: aligned.toArray()
+        };
+    });
+  });
+  return boxes;
+};
+
+// Indices of sizes from largest to smallest
+const rankBySize = (sizes) => [0, 1, 2].sort((a, b) => sizes[b] - sizes[a]);
+
+// Pose { center, size, quaternion } of a block at the start of the morph: the
+// box of its model object, turned so that the sides that become the block's
+// x, y and z on the board (cut length or width, thickness) start on the
+// matching sides of the object
+const getMorphStart = (block, objectBox) => {
+  const { piece } = block;
+  // Object axis of every block axis. The orientation axes pick dimensions of
+  // the group, whose members may be measured in another axis order, so group
+  // and object dimensions are matched by size.
+  let objectAxes;
+  if (piece.orientationAxes && piece.originalDims) {
+    const [cutAxis, widthAxis, thickAxis] = piece.orientationAxes;
+    const groupAxes = piece.rotated ? [widthAxis, thickAxis, cutAxis] : [cutAxis, thickAxis, widthAxis];
+    const groupRanks = rankBySize(piece.originalDims);
+    const objectRanks = rankBySize(objectBox.extents);
+    objectAxes = groupAxes.map(axis => objectRanks[groupRanks.indexOf(axis)]);
+  } else {
+    // Plans saved before the orientation was kept: match the block sizes
+    const blockRanks = rankBySize(block.size.toArray());
+    const objectRanks = rankBySize(objectBox.extents);
+    objectAxes = [0, 1, 2].map(axis => objectRanks[blockRanks.indexOf(axis)]);
+  }
+  
+  // A box looks the same turned half a turn around any of its axes: take the
+  // variant closest to the board orientation so the piece turns the short way
+  let quaternion = null;
+  [[1, 1], [1, -1], [-1, 1], [-1, -1]].forEach(([signX, signY]) => {
+    const x = objectBox.axes[objectAxes[0]].clone().multiplyScalar(signX);
+    const y = objectBox.axes[objectAxes[1]].clone().multiplyScalar(signY);
+    const z = new THREE.Vector3().crossVectors(x, y);
+    const candidate = new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+    if (!quaternion || Math.abs(candidate.w) > Math.abs(quaternion.w)) quaternion = candidate;
+  });
+  
+  return {
+    center: objectBox.center,
+    size: new THREE.Vector3(...objectAxes.map(axis => objectBox.extents[axis])),
+    quaternion
+  };
+};
+
+// One piece on a board. While the morph runs it moves, turns and reshapes from
+// the box of its model object to its place on the board.
+const StockBlock = ({ block, start, progressRef, color, highlighted, onClick, onHover }) => {
+  const meshRef = useRef();
+  
+  useFrame(() => {
+    if (!meshRef.current) return;
+    const t = progressRef.current;
+    // Ease in and out
+    const eased = t * t * (3 - 2 * t);
+    meshRef.current.position.lerpVectors(start.center, block.center, eased);
+    meshRef.current.quaternion.slerpQuaternions(start.quaternion, block.quaternion, eased);
+    meshRef.current.scale.lerpVectors(start.size, block.size, eased);
+  });
+  
+  return (
+    <mesh
+      ref={meshRef}
+      position={block.center.toArray()}
+      quaternion={block.quaternion.toArray()}
+      scale={block.size.toArray()}
+      onClick={onClick}
+      onPointerMove={onHover}
+      onPointerOut={() => onHover(null)}
+    >
+      <boxGeometry args={[1, 1, 1]} />
+      <meshPhongMaterial color={color} emissive={highlighted ? '#555555' : '#000000'} />
+      <Edges color="#333333" />
+    </mesh>
+  );
+};
+
+// Stock view: every plank of the cutting plan as a board with its pieces at
+// their cut positions. The pieces morph from the model onto the boards when
+// the view opens and whenever `morphTrigger` changes.
+const StockView = ({ layout, objectBoxes, getPieceColor, highlighted, morphTrigger, onSelectObject, onHover }) => {
+  const progressRef = useRef(0);
+  const lastTrigger = useRef(morphTrigger);
+  const starts = useMemo(() => Object.fromEntries(layout.blocks.map(block => [
+    block.key,
+    block.objectId && objectBoxes[block.objectId] ? getMorphStart(block, objectBoxes[block.objectId]) : block
+  ])), [layout, objectBoxes]);
+  
+  useFrame((state, delta) => {
+    if (morphTrigger !== lastTrigger.current) {
+      lastTrigger.current = morphTrigger;
+      progressRef.current = 0;
+    }
+    if (progressRef.current < 1) {
+      progressRef.current = Math.min(1, progressRef.current + delta / MORPH_SECONDS);
+    }
+  });
+  
+  return (
+    <>
+      {layout.boards.map(({ plank, center, size }) => (
+        <group key={plank.number}>
+          <mesh position={center.toArray()} scale={size.toArray()}>
+            <boxGeometry args={[1, 1, 1]} />
+            <meshPhongMaterial color="#d6b98c" transparent={true} opacity={0.3} depthWrite={false} />
+            <Edges color="#8b6b3d" />
+          </mesh>
+          <Html
+            position={[center.x - size.x / 2, center.y + size.y / 2, center.z - size.z / 2]}
+            style={{ pointerEvents: 'none' }}
+          >
+            <div className="bg-gray-800 text-white rounded px-1 text-xs whitespace-nowrap">
+              {plank.material.stockType === 'sheet' ? 'Sheet' : 'Plank'} {plank.number}: {plank.material.name}
+            </div>
+          </Html>
+        </group>
+      ))}
+      {layout.blocks.map(block => (
+        <StockBlock
+          key={block.key}
+          block={block}
+          start={starts[block.key]}
+          progressRef={progressRef}
+          color={getPieceColor ? getPieceColor(block.piece) : '#808080'}
+          highlighted={block.objectId !== null && highlighted.has(block.objectId)}
+          onClick={(e) => {
+            e.stopPropagation();
+            if (e.delta <= 4 && block.objectId && onSelectObject) onSelectObject(block.objectId);
+          }}
+          onHover={(e) => {
+            if (!e) {
+              onHover(null);
+              return;
+            }
+            e.stopPropagation();
+            const { piece, plank } = block;
+            onHover({
+              x: e.nativeEvent.offsetX,
+              y: e.nativeEvent.offsetY,
+              lines: [
+                piece.name.replace(/\s*\(\d+\)$/g, '').trim(),
+                `Cut: ${piece.cuttingLength}×${piece.finalWidth}×${piece.finalThickness}mm${piece.rotated ? ' (rotated 90°)' : ''}`,
+                `Orientation: ${piece.orientation}`,
+                // Axes of the piece in the model that run along, across and through the board
+                ...(block.objectId && piece.orientationAxes
+                  ? [`Thickness: model ${'XYZ'[piece.orientationAxes[2]]} (length along ${'XYZ'[piece.orientationAxes[0]]}, width along ${'XYZ'[piece.orientationAxes[1]]})`]
+                  : []),
+                `${plank.material.stockType === 'sheet' ? 'Sheet' : 'Plank'} ${plank.number}, ${Math.round(piece.x)}mm along, ${Math.round(piece.y)}mm across`
+              ]
+            });
+          }}
+        />
+      ))}
+    </>
+  );
+};
+
 // Debug Component to show scene stats
 const SceneDebugInfo = () => {
   const { scene, camera } = useThree();
@@ -284,38 +567,245 @@ const FitToViewController = ({ boundingBox, triggerFit }) => {
   
   useEffect(() => {
     if (triggerFit && boundingBox && !boundingBox.isEmpty()) {
-      const center = new THREE.Vector3();
-      boundingBox.getCenter(center);
-      
-      const size = new THREE.Vector3();
-      boundingBox.getSize(size);
-      
-      const maxDim = Math.max(size.x, size.y, size.z);
-      const fov = camera.fov * (Math.PI / 180);
-      const distance = Math.abs(maxDim / 2 / Math.tan(fov / 2)) * 0.8;
-      
-      camera.position.set(
-        center.x + distance * 0.6,
-        center.y + distance * 0.8, 
-        center.z + distance * 0.6
-      );
-      
-      camera.lookAt(center);
-      camera.updateProjectionMatrix();
-      
-      if (controls) {
-        controls.target.copy(center);
-        controls.update();
-      }
+      frameBox(camera, controls, boundingBox);
     }
   }, [triggerFit, boundingBox, camera, controls]);
   
   return null;
 };
 
+// Frames the selected pieces whenever `trigger` changes (selections made in
+// the viewer itself do not move the camera)
+const FocusController = ({ boundingBox, trigger }) => {
+  const { camera, controls } = useThree();
+  const lastTrigger = useRef(trigger);
+  
+  useEffect(() => {
+    if (trigger === lastTrigger.current) return;
+    lastTrigger.current = trigger;
+    if (boundingBox && !boundingBox.isEmpty()) {
+      frameBox(camera, controls, boundingBox, 2);
+    }
+  }, [trigger, boundingBox, camera, controls]);
+  
+  return null;
+};
+
 // Main 3D Viewer Component
-const OBJViewer3D = ({ objContent, pieces, getPieceColor }) => {
+// Sub-assemblies are { id, unit, objects } with the pieces parsed by the model
+// worker (the viewer does not parse files itself). Objects are identified as
+// "<sub-assembly id>:<object index>". Clicking a piece calls `onSelectObject`
+// with its id, `describeObject` gives the lines of its hover tooltip, and
+// `focusTrigger` frames the highlighted objects when it changes. With a
+// `cuttingPlan` the viewer can also show the stock: the planks as boards with
+// their pieces. `assemblySteps` ({ title, objectIds }) are played back one at a
+// time: the earlier steps stay, the current one is highlighted.
+const OBJViewer3D = ({
+  assemblies = [],
+  pieces,
+  getPieceColor,
+  colorOverrides = null,
+  highlightedObjectIds = [],
+  focusTrigger = 0,
+  onSelectObject = null,
+  describeObject = null,
+  cuttingPlan = [],
+  assemblySteps = []
+}) => {
   const [fitTrigger, setFitTrigger] = useState(0);
+  const [hover, setHover] = useState(null);
+  const [explode, setExplode] = useState(0);
+  // Pieces and materials switched off, as 'piece:<group id>' and 'material:<name>' keys
+  const [hiddenKeys, setHiddenKeys] = useState([]);
+  const [isolatedKey, setIsolatedKey] = useState(null);
+  const [ghostHidden, setGhostHidden] = useState(false);
+  const [showLabels, setShowLabels] = useState(false);
+  // Measure tool: up to two snapped points (world coordinates, mm)
+  const [measuring, setMeasuring] = useState(false);
+  const [measurePoints, setMeasurePoints] = useState([]);
+  // 'model' or 'stock'
+  const [viewMode, setViewMode] = useState('model');
+  const [morphTrigger, setMorphTrigger] = useState(0);
+  // Assembly step being played back (index), or null
+  const [playStep, setPlayStep] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  
+  // Bounding box in millimeters, for centering, the grid and fit to view. It only
+  // changes (and moves the camera) when the scene really gets another size.
+  const sceneBounds = getSceneBounds(assemblies);
+  const boundsKey = sceneBounds.isEmpty() ? '' : [...sceneBounds.min.toArray(), ...sceneBounds.max.toArray()].join(',');
+  const modelBounds = useMemo(() => (boundsKey ? sceneBounds : null), [boundsKey]);
+  
+  // The model is moved so its center is at the origin; the camera works with
+  // the moved (view) bounds
+  const modelCenter = useMemo(() => (modelBounds
+    ? modelBounds.getCenter(new THREE.Vector3()).negate()
+    : new THREE.Vector3(0, 0, 0)), [modelBounds]);
+  const viewBounds = useMemo(() => (modelBounds ? modelBounds.clone().translate(modelCenter) : null), [modelBounds, modelCenter]);
+  
+  // View bounds of the exploded model, for the grid and fit to view
+  const explodedBounds = useMemo(() => (modelBounds
+    ? getSceneBounds(assemblies, null, explode, modelCenter.clone().negate()).translate(modelCenter)
+    : null), [modelBounds, modelCenter, explode]);
+  
+  // Highlighted objects and their view bounds for framing them
+  const highlightKey = highlightedObjectIds.join(',');
+  const selected = useMemo(() => new Set(highlightedObjectIds), [highlightKey]);
+  
+  // Assembly playback: objects of the steps so far, the current step highlighted
+  const currentStep = playStep !== null && playStep < assemblySteps.length ? playStep : null;
+  const stepObjects = useMemo(() => (currentStep !== null
+    ? new Set(assemblySteps.slice(0, currentStep + 1).flatMap(step => step.objectIds))
+    : null), [currentStep, assemblySteps]);
+  const stepHighlight = useMemo(() => (currentStep !== null
+    ? new Set(assemblySteps[currentStep].objectIds)
+    : null), [currentStep, assemblySteps]);
+  const highlighted = stepHighlight || selected;
+  
+  // Advance while playing, stop after the last step
+  useEffect(() => {
+    if (!playing || currentStep === null) return;
+    const timer = setTimeout(() => {
+      if (currentStep >= assemblySteps.length - 1) {
+        setPlaying(false);
+      } else {
+        setPlayStep(currentStep + 1);
+      }
+    }, STEP_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [playing, currentStep, assemblySteps.length]);
+  const focusBounds = useMemo(() => {
+    if (highlighted.size === 0 || !modelBounds) return null;
+    const box = getSceneBounds(assemblies, objectId => highlighted.has(objectId), explode, modelCenter.clone().negate());
+    return box.isEmpty() ? null : box.translate(modelCenter);
+  }, [highlighted, modelBounds, modelCenter, explode]);
+  
+  // Piece groups and materials of the model objects, for showing, hiding and
+  // isolating them
+  const { objectKeys, objectSizes, pieceEntries, materialEntries } = useMemo(() => {
+    const keys = {};
+    const sizes = {};
+    const pieceMap = new Map();
+    const materialMap = new Map();
+    (pieces || []).filter(piece => piece.objectIds).forEach(piece => {
+      const pieceKey = `piece:${piece.groupId}`;
+      const materialKey = piece.material ? `material:${piece.material.name}` : null;
+      if (!pieceMap.has(pieceKey)) {
+        pieceMap.set(pieceKey, {
+          key: pieceKey,
+          name: piece.name.replace(/\s*\(\d+\)$/g, '').trim(),
+          color: getPieceColor ? getPieceColor(piece) : '#808080',
+          count: piece.objectIds.length
+        });
+      }
+      if (materialKey && !materialMap.has(materialKey)) {
+        materialMap.set(materialKey, { key: materialKey, name: piece.material.name });
+      }
+      const size = piece.canFit
+        ? `${piece.cuttingLength}×${piece.finalWidth}×${piece.finalThickness}mm`
+        : `${piece.originalDims.join('×')}mm (does not fit)`;
+      piece.objectIds.forEach(objectId => {
+        keys[objectId] = [...(keys[objectId] || []), pieceKey, materialKey].filter(Boolean);
+        if (!sizes[objectId]) sizes[objectId] = size;
+      });
+    });
+    return {
+      objectKeys: keys,
+      objectSizes: sizes,
+      pieceEntries: [...pieceMap.values()],
+      materialEntries: [...materialMap.values()]
+    };
+  }, [pieces, getPieceColor]);
+  
+  const getVisibility = (objectId) => {
+    if (stepObjects && !stepObjects.has(objectId)) return ghostHidden ? 'ghosted' : 'hidden';
+    const keys = objectKeys[objectId] || [];
+    const shown = !keys.some(key => hiddenKeys.includes(key)) && (!isolatedKey || keys.includes(isolatedKey));
+    if (shown) return 'shown';
+    return ghostHidden ? 'ghosted' : 'hidden';
+  };
+  
+  const toggleHidden = (key) => {
+    setHiddenKeys(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+  
+  const toggleIsolated = (key) => {
+    setIsolatedKey(prev => prev === key ? null : key);
+  };
+  
+  const showAll = () => {
+    setHiddenKeys([]);
+    setIsolatedKey(null);
+  };
+  
+  // A third point starts a new measurement
+  const addMeasurePoint = (point) => {
+    setMeasurePoints(prev => prev.length === 1 ? [prev[0], point] : [point]);
+  };
+  
+  const toggleMeasuring = () => {
+    setMeasuring(prev => !prev);
+    setMeasurePoints([]);
+  };
+  
+  // Boards and pieces of the stock view, on the floor under the model
+  const showStock = viewMode === 'stock' && cuttingPlan.length > 0 && viewBounds !== null;
+  const stockLayout = useMemo(() => (showStock
+    ? layoutStock(cuttingPlan, pieces, viewBounds.min.y)
+    : null), [showStock, cuttingPlan, pieces, viewBounds]);
+  const objectBoxes = useMemo(() => (showStock ? getObjectBoxes(assemblies, modelCenter) : {}), [showStock, assemblies, modelCenter]);
+  // The camera frames both the boards and the model the pieces morph from
+  const stockBounds = useMemo(() => {
+    if (!stockLayout) return null;
+    const box = viewBounds.clone();
+    stockLayout.boards.forEach(({ center, size }) => {
+      box.union(new THREE.Box3().setFromCenterAndSize(center, size));
+    });
+    return box;
+  }, [stockLayout, viewBounds]);
+  
+  const switchViewMode = (mode) => {
+    setViewMode(mode);
+    setHover(null);
+    setMeasuring(false);
+    setMeasurePoints([]);
+  };
+  
+  const playSteps = () => {
+    if (currentStep === null || currentStep >= assemblySteps.length - 1) setPlayStep(0);
+    setPlaying(true);
+  };
+  
+  const showStep = (index) => {
+    setPlaying(false);
+    setPlayStep(index);
+  };
+  
+  const measureDelta = measurePoints.length === 2 ? measurePoints[1].point.clone().sub(measurePoints[0].point) : null;
+  
+  // Where a measuring point is drawn: on its piece, which the exploded view moves
+  const getShownMeasurePoint = ({ objectId, point }) => {
+    const [assemblyId, index] = objectId.split(':').map(Number);
+    const assembly = assemblies.find(a => a.id === assemblyId);
+    if (explode === 0 || !assembly || !assembly.objects[index]) return point;
+    const offset = getExplodeOffset(assembly.objects[index].bounds, getUnitScale(assembly.unit), modelCenter.clone().negate(), explode);
+    return point.clone().add(offset);
+  };
+  
+  // Show / Hide / Isolate buttons of one piece group or material
+  const renderVisibilityControls = (key) => (
+    <span className="flex gap-2 flex-shrink-0">
+      <button onClick={() => toggleHidden(key)} className="text-blue-600 hover:text-blue-800">
+        {hiddenKeys.includes(key) ? 'Show' : 'Hide'}
+      </button>
+      <button
+        onClick={() => toggleIsolated(key)}
+        className={isolatedKey === key ? 'text-amber-700 font-semibold' : 'text-blue-600 hover:text-blue-800'}
+      >
+        {isolatedKey === key ? 'Isolated' : 'Isolate'}
+      </button>
+    </span>
+  );
   
   // Generate color mapping for pieces
   const pieceColors = useMemo(() => {
@@ -338,106 +828,285 @@ const OBJViewer3D = ({ objContent, pieces, getPieceColor }) => {
             colors[pieceName] = color;
           });
         }
+        
+        // Model objects of the group
+        (piece.objectIds || []).forEach(objectId => {
+          colors[objectId] = color;
+        });
       });
     }
     
     return colors;
   }, [pieces, getPieceColor]);
   
-  if (!objContent) {
+  if (assemblies.length === 0) {
     return (
       <div className="w-full h-64 bg-gray-100 rounded-lg flex items-center justify-center">
         <p className="text-gray-500">No OBJ file loaded</p>
       </div>
     );
   }
-  
-  // Get bounding box for fit-to-view button
-  const modelBounds = useMemo(() => {
-    if (!objContent) return null;
-    
-    try {
-      const geos = parseOBJToGeometry(objContent);
-      const scaleFactor = 1000;
-      
-      const finalBox = new THREE.Box3();
-      geos.forEach(g => {
-        g.geometry.scale(scaleFactor, scaleFactor, scaleFactor);
-        g.geometry.computeBoundingBox();
-        finalBox.union(g.geometry.boundingBox);
-      });
-      
-      return finalBox;
-    } catch (error) {
-      return null;
-    }
-  }, [objContent]);
 
   return (
-    <div className="w-full h-96 bg-gray-50 rounded-lg border border-gray-200 overflow-hidden relative">
-      {/* Fit to View button - outside Canvas */}
-      {modelBounds && (
-        <button 
-          onClick={() => setFitTrigger(prev => prev + 1)}
-          className="absolute top-2 right-2 z-10 px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700"
+    <div>
+      <div className={`w-full h-96 bg-gray-50 rounded-lg border border-gray-200 overflow-hidden relative ${measuring ? 'cursor-crosshair' : ''}`}>
+        {/* Fit to View button - outside Canvas */}
+        {modelBounds && (
+          <button 
+            onClick={() => setFitTrigger(prev => prev + 1)}
+            className="absolute top-2 right-2 z-10 px-3 py-1 bg-blue-600 text-white text-sm rounded hover:bg-blue-700"
+          >
+            Fit to View
+          </button>
+        )}
+        
+        <Canvas 
+          camera={{ 
+            position: [10, 10, 10], 
+            fov: 25,
+            near: 1,
+            far: 50000
+          }}
+          onCreated={({ gl, camera }) => {
+            gl.setClearColor('#f5f5f5');
+            
+            // Three.js handles depth testing automatically
+            // Just ensure sortObjects is enabled for better depth sorting
+            gl.sortObjects = true;
+          }}
         >
-          Fit to View
-        </button>
-      )}
-      
-      <Canvas 
-        camera={{ 
-          position: [10, 10, 10], 
-          fov: 25,
-          near: 1,
-          far: 50000
-        }}
-        onCreated={({ gl, camera }) => {
-          gl.setClearColor('#f5f5f5');
+          <OrbitControls 
+            makeDefault
+            enablePan={true} 
+            enableZoom={true} 
+            enableRotate={true}
+            zoomSpeed={0.5}
+            panSpeed={0.5}
+            rotateSpeed={0.5}
+          />
           
-          // Three.js handles depth testing automatically
-          // Just ensure sortObjects is enabled for better depth sorting
-          gl.sortObjects = true;
-        }}
-      >
-        <OrbitControls 
-          enablePan={true} 
-          enableZoom={true} 
-          enableRotate={true}
-          zoomSpeed={0.5}
-          panSpeed={0.5}
-          rotateSpeed={0.5}
-          target={[0, 0, 0]}
-        />
-        
-        {/* Lighting */}
-        <ambientLight intensity={0.6} />
-        <directionalLight position={[10, 10, 5]} intensity={1.0} />
-        <directionalLight position={[-10, -10, -5]} intensity={0.5} />
-        
-        {/* Debug cube to test rendering */}
-        <mesh position={[0, 0, 0]}>
-          <boxGeometry args={[1, 1, 1]} />
-          <meshPhongMaterial color="red" />
-        </mesh>
-        
-        {/* Model */}
-        <OBJModel objContent={objContent} pieceColors={pieceColors} />
-        
-        {/* Grid helper aligned with model bottom */}
-        {modelBounds && <ModelAlignedGrid boundingBox={modelBounds} />}
-        
-        {/* Axes helper */}
-        <axesHelper args={[1000]} />
-        
-        {/* Debug info */}
-        <SceneDebugInfo />
+          {/* Lighting */}
+          <ambientLight intensity={0.6} />
+          <directionalLight position={[10, 10, 5]} intensity={1.0} />
+          <directionalLight position={[-10, -10, -5]} intensity={0.5} />
+          
+          {/* Debug cube to test rendering */}
+          <mesh position={[0, 0, 0]}>
+            <boxGeometry args={[1, 1, 1]} />
+            <meshPhongMaterial color="red" />
+          </mesh>
+          
+          {/* Model, or the stock with the pieces cut from it */}
+          {showStock ? (
+            <>
+              <StockView
+                layout={stockLayout}
+                objectBoxes={objectBoxes}
+                getPieceColor={getPieceColor}
+                highlighted={highlighted}
+                morphTrigger={morphTrigger}
+                onSelectObject={onSelectObject}
+                onHover={setHover}
+              />
+              <CameraController boundingBox={stockBounds} />
+            </>
+          ) : (
+            <OBJModel
+              assemblies={assemblies}
+              offset={modelCenter}
+              viewBounds={viewBounds}
+              pieceColors={pieceColors}
+              colorOverrides={colorOverrides}
+              highlighted={highlighted}
+              explode={explode}
+              getVisibility={getVisibility}
+              labels={showLabels ? objectSizes : null}
+              onSelectObject={onSelectObject}
+              onMeasurePoint={measuring ? addMeasurePoint : null}
+              onHover={setHover}
+            />
+          )}
+          
+          {/* Measured distance */}
+          {viewBounds && (
+            <MeasureOverlay
+              points={measurePoints.map(getShownMeasurePoint)}
+              distance={measureDelta ? measureDelta.length() : 0}
+              markerSize={viewBounds.getSize(new THREE.Vector3()).length() * 0.004}
+            />
+          )}
+          
+          {/* Grid helper aligned with model bottom */}
+          {explodedBounds && <ModelAlignedGrid boundingBox={showStock ? viewBounds : explodedBounds} />}
+          
+          {/* Axes helper */}
+          <axesHelper args={[1000]} />
+          
+          {/* Debug info */}
+          <SceneDebugInfo />
+          
+          {/* Fit to view controller */}
+          {explodedBounds && <FitToViewController boundingBox={showStock ? stockBounds : explodedBounds} triggerFit={fitTrigger} />}
+          
+          {/* Frames the pieces selected in the pieces list or the cutting plan */}
+          <FocusController boundingBox={focusBounds} trigger={focusTrigger} />
+        </Canvas>
         
-        {/* Fit to view controller */}
-        {modelBounds && <FitToViewController boundingBox={modelBounds} triggerFit={fitTrigger} />}
-      </Canvas>
+        {/* Hover tooltip */}
+        {hover && (hover.lines || describeObject) && (
+          <div
+            className="absolute z-10 pointer-events-none bg-white bg-opacity-95 border border-gray-300 rounded shadow px-2 py-1 text-xs text-gray-800"
+            style={{ left: hover.x + 12, top: hover.y + 12 }}
+          >
+            {(hover.lines || describeObject(hover.objectId)).map((line, index) => (
+              <div key={index} className={index === 0 ? 'font-semibold' : ''}>{line}</div>
+            ))}
+          </div>
+        )}
+      </div>
+      
+      {/* Model or stock view */}
+      {cuttingPlan.length > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+          <div className="inline-flex rounded border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => switchViewMode('model')}
+              className={`px-3 py-1 ${viewMode === 'model' ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+            >
+              Model
+            </button>
+            <button
+              onClick={() => switchViewMode('stock')}
+              className={`px-3 py-1 ${viewMode === 'stock' ? 'bg-blue-600 text-white' : 'bg-white hover:bg-gray-100'}`}
+            >
+              Stock
+            </button>
+          </div>
+          {viewMode === 'stock' && (
+            <>
+              <button
+                onClick={() => setMorphTrigger(prev => prev + 1)}
+                className="px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"
+              >
+                Replay Morph
+              </button>
+              <span className="text-gray-600">Hover a piece to see which model axis became its thickness</span>
+            </>
+          )}
+        </div>
+      )}
+      
+      {/* Exploded view, visibility of pieces and materials */}
+      {!showStock && (
+        <div className="mt-2 text-sm text-gray-700 space-y-2">
+          {assemblySteps.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium">Assembly:</span>
+              <button
+                onClick={() => showStep(currentStep - 1)}
+                disabled={currentStep === null || currentStep === 0}
+                className="px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100 disabled:text-gray-300"
+              >
+                ◀
+              </button>
+              <button
+                onClick={playing ? () => setPlaying(false) : playSteps}
+                className="px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"
+              >
+                {playing ? 'Pause' : 'Play Steps'}
+              </button>
+              <button
+                onClick={() => showStep(currentStep === null ? 0 : currentStep + 1)}
+                disabled={currentStep !== null && currentStep >= assemblySteps.length - 1}
+                className="px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100 disabled:text-gray-300"
+              >
+                ▶
+              </button>
+              {currentStep !== null && (
+                <>
+                  <span>Step {currentStep + 1} of {assemblySteps.length}: {assemblySteps[currentStep].title}</span>
+                  <button onClick={() => showStep(null)} className="text-blue-600 hover:text-blue-800">
+                    Show whole model
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2">
+              Explode
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={Math.round(explode * 100)}
+                onChange={(e) => setExplode(Number(e.target.value) / 100)}
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={showLabels}
+                onChange={(e) => setShowLabels(e.target.checked)}
+              />
+              Labels
+            </label>
+            <button
+              onClick={toggleMeasuring}
+              className={`px-2 py-0.5 rounded border ${measuring ? 'bg-red-600 text-white border-red-600' : 'border-gray-300 hover:bg-gray-100'}`}
+            >
+              {measuring ? 'Stop Measuring' : 'Measure'}
+            </button>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={ghostHidden}
+                onChange={(e) => setGhostHidden(e.target.checked)}
+              />
+              Show hidden parts transparent
+            </label>
+            {(hiddenKeys.length > 0 || isolatedKey) && (
+              <button onClick={showAll} className="text-blue-600 hover:text-blue-800">
+                Show all
+              </button>
+            )}
+          </div>
+          {measuring && (
+            <div className="text-red-700">
+              {measureDelta
+                ? `Distance: ${measureDelta.length().toFixed(1)}mm (X ${Math.abs(measureDelta.x).toFixed(1)}, Y ${Math.abs(measureDelta.y).toFixed(1)}, Z ${Math.abs(measureDelta.z).toFixed(1)}mm)`
+                : `Click ${measurePoints.length === 0 ? 'a corner' : 'a second corner'} of a piece; points snap to the nearest vertex`}
+            </div>
+          )}
+          {pieceEntries.length > 0 && (
+            <details>
+              <summary className="cursor-pointer">Show, hide or isolate pieces and materials</summary>
+              <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+                {materialEntries.map(entry => (
+                  <div key={entry.key} className="flex items-center justify-between gap-2">
+                    <span className="font-medium truncate">Material: {entry.name}</span>
+                    {renderVisibilityControls(entry.key)}
+                  </div>
+                ))}
+                {pieceEntries.map(entry => (
+                  <div key={entry.key} className="flex items-center justify-between gap-2">
+                    <span className="flex items-center gap-2 truncate">
+                      <span
+                        className="w-3 h-3 rounded border border-gray-400 flex-shrink-0"
+                        style={{ backgroundColor: entry.color }}
+                      ></span>
+                      {entry.name}{entry.count > 1 ? ` (${entry.count} objects)` : ''}
+                    </span>
+                    {renderVisibilityControls(entry.key)}
+                  </div>
+                ))}
+              </div>
+            </details>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-export default OBJViewer3D;
\ No newline at end of file
+export default OBJViewer3D;
@@ -0,0 +1,38 @@
+// Assembly steps: the order in which the model objects are put together. Each
+// step is { id, title, objectIds }. Suggestions build the model from the bottom
+// up: objects whose lowest points are at about the same height (the y axis is
+// up, as in the 3D view) are put on in the same step.
+import { getUnitScale } from './units';
+
+// Objects whose bottoms differ by at most this much (mm) share a step
+export const STEP_HEIGHT_TOLERANCE = 5;
+
+// Suggest steps for the objects of the given sub-assemblies. Every object is
+// compared with the first (lowest) object of a step, so tall stacks of slightly
+// offset parts do not end up in one step.
+export const suggestAssemblySteps = (assemblies, tolerance = STEP_HEIGHT_TOLERANCE) => {
+  const objects = assemblies.flatMap(assembly => {
+    const unitScale = getUnitScale(assembly.unit);
+    return assembly.objects.map(({ bounds }, index) => ({
+      objectId: `${assembly.id}:${index}`,
+      bottom: bounds.min[1] * unitScale
+    }));
+  }).sort((a, b) => a.bottom - b.bottom);
+
+  const steps = [];
+  objects.forEach(object => {
+    const step = steps[steps.length - 1];
+    if (step && object.bottom - step.bottom <= tolerance) {
+      step.objectIds.push(object.objectId);
+    } else {
+      steps.push({ bottom: object.bottom, objectIds: [object.objectId] });
+    }
+  });
+  return steps.map(({ objectIds }, index) => ({ id: index + 1, title: `Step ${index + 1}`, objectIds }));
+};
+
+// Steps without the objects of a sub-assembly (removed or split differently);
+// steps that become empty are dropped
+export const dropAssemblyObjects = (steps, assemblyId) => steps
+  .map(step => ({ ...step, objectIds: step.objectIds.filter(objectId => !objectId.startsWith(`${assemblyId}:`)) }))
+  .filter(step => step.objectIds.length > 0);
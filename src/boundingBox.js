@@ -0,0 +1,235 @@
+// Bounding boxes of model objects. A board that is rotated in the model (a
+// sloped rafter, a leaning support) has a much larger axis-aligned box than
+// its real size, so pieces are measured with a minimal oriented box instead.
+// Vertices are [x, y, z] arrays in model units.
+
+// Vector helpers
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+
+const normalize = (a) => {
+  const length = Math.sqrt(dot(a, a));
+  return length > 0 ? [a[0] / length, a[1] / length, a[2] / length] : a;
+};
+
+// Extent of the points along a direction
+const extentAlong = (vertices, axis) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of vertices) {
+    const d = dot(v, axis);
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return max - min;
+};
+
+// Center of the box with the given (orthonormal) axes around the points
+const boxCenter = (vertices, axes) => {
+  const center = [0, 0, 0];
+  axes.forEach(axis => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of vertices) {
+      const d = dot(v, axis);
+      if (d < min) min = d;
+      if (d > max) max = d;
+    }
+    for (let i = 0; i < 3; i++) center[i] += axis[i] * (min + max) / 2;
+  });
+  return center;
+};
+
+// Eigenvectors of a symmetric 3×3 matrix (Jacobi rotations)
+const eigenVectors = (matrix) => {
+  const a = matrix.map(row => [...row]);
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (offDiagonal < 1e-12) break;
+
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-15) continue;
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p];
+        const akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k];
+        const aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p];
+        const vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    }
+  }
+
+  // Columns of v are the eigenvectors
+  return [0, 1, 2].map(i => normalize([v[0][i], v[1][i], v[2][i]]));
+};
+
+// Principal axes of the point cloud
+const principalAxes = (vertices) => {
+  const mean = [0, 0, 0];
+  for (const v of vertices) {
+    mean[0] += v[0];
+    mean[1] += v[1];
+    mean[2] += v[2];
+  }
+  mean.forEach((_, i) => { mean[i] /= vertices.length; });
+
+  const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (const v of vertices) {
+    const d = [v[0] - mean[0], v[1] - mean[1], v[2] - mean[2]];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) covariance[i][j] += d[i] * d[j];
+    }
+  }
+  return eigenVectors(covariance);
+};
+
+// Convex hull of 2D points (monotone chain)
+const convexHull2D = (points) => {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+  const turn = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && turn(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && turn(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+// Smallest box with one axis fixed: the other two axes are found with a
+// minimum-area rectangle around the points projected onto the plane
+// perpendicular to that axis (one side of that rectangle lies on a hull edge)
+const boxAroundAxis = (vertices, axis) => {
+  const helper = Math.abs(axis[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+  const u = normalize(cross(axis, helper));
+  const w = cross(axis, u);
+  const hull = convexHull2D(vertices.map(v => [dot(v, u), dot(v, w)]));
+
+  let best = { area: Infinity, angle: 0 };
+  const directions = hull.length > 1
+    ? hull.map((p, i) => {
+        const next = hull[(i + 1) % hull.length];
+        return Math.atan2(next[1] - p[1], next[0] - p[0]);
+      })
+    : [0];
+  for (const angle of directions) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+    for (const [x, y] of hull) {
+      const a = x * c + y * s;
+      const b = -x * s + y * c;
+      if (a < minA) minA = a;
+      if (a > maxA) maxA = a;
+      if (b < minB) minB = b;
+      if (b > maxB) maxB = b;
+    }
+    const area = (maxA - minA) * (maxB - minB);
+    if (area < best.area) best = { area, angle };
+  }
+
+  const c = Math.cos(best.angle);
+  const s = Math.sin(best.angle);
+  return [
+    axis,
+    normalize([u[0] * c + w[0] * s, u[1] * c + w[1] * s, u[2] * c + w[2] * s]),
+    normalize([-u[0] * s + w[0] * c, -u[1] * s + w[1] * c, -u[2] * s + w[2] * c])
+  ];
+};
+
+// Order box axes so each one takes the place of the world axis it is closest
+// to, which keeps X/Y/Z meaningful for boards that are only slightly rotated
+const matchWorldAxes = (axes) => {
+  const permutations = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+  let best = permutations[0];
+  let bestScore = -Infinity;
+  for (const permutation of permutations) {
+    const score = permutation.reduce((sum, axisIndex, world) => sum + Math.abs(axes[axisIndex][world]), 0);
+    if (score > bestScore) {
+      best = permutation;
+      bestScore = score;
+    }
+  }
+  return best.map(i => axes[i]);
+};
+
+// Axis-aligned size of the points
+export const getAxisAlignedSize = (vertices) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const v of vertices) {
+    for (let i = 0; i < 3; i++) {
+      if (v[i] < min[i]) min[i] = v[i];
+      if (v[i] > max[i]) max[i] = v[i];
+    }
+  }
+  return { x: max[0] - min[0], y: max[1] - min[1], z: max[2] - min[2] };
+};
+
+// Minimal oriented bounding box: the smallest of the boxes around the principal
+// axes and the world axes, each refined by a minimum-area rectangle. Returns the
+// size along each box axis (ordered like the closest world axis), the box axes,
+// its center and whether the box is noticeably smaller than the axis-aligned one.
+export const getOrientedBoundingBox = (vertices) => {
+  const aligned = getAxisAlignedSize(vertices);
+  const alignedVolume = aligned.x * aligned.y * aligned.z;
+  const worldAxes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  let best = { axes: worldAxes, volume: alignedVolume };
+  if (vertices.length >= 4) {
+    const candidateAxes = [...principalAxes(vertices), ...worldAxes];
+    for (const axis of candidateAxes) {
+      const axes = boxAroundAxis(vertices, axis);
+      const volume = axes.reduce((product, a) => product * extentAlong(vertices, a), 1);
+      if (volume < best.volume) best = { axes, volume };
+    }
+  }
+
+  // Keep the axis-aligned box unless the oriented one is really smaller
+  // (avoids tiny differences from floating point noise)
+  const rotated = best.volume < alignedVolume * 0.995;
+  if (!rotated) {
+    return { x: aligned.x, y: aligned.y, z: aligned.z, axes: worldAxes, center: boxCenter(vertices, worldAxes), rotated: false, aligned };
+  }
+
+  const axes = matchWorldAxes(best.axes);
+  return {
+    x: extentAlong(vertices, axes[0]),
+    y: extentAlong(vertices, axes[1]),
+    z: extentAlong(vertices, axes[2]),
+    axes,
+    center: boxCenter(vertices, axes),
+    rotated: true,
+    aligned
+  };
+};
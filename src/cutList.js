@@ -0,0 +1,107 @@
+// Cut lists that are typed, pasted (e.g. from a spreadsheet) or imported from a
+// CSV file. One row per part: name, length, width, thickness, quantity and
+// optionally the material name. Comma, semicolon and tab separated lists are
+// read, with or without a header row or names. Sizes are in mm.
+
+// Column order of lists without a header row
+export const CUT_LIST_COLUMNS = ['name', 'length', 'width', 'thickness', 'quantity', 'material'];
+
+// Header names understood for each column
+const headerNames = {
+  name: ['name', 'part', 'piece', 'label', 'description'],
+  length: ['length', 'len', 'l'],
+  width: ['width', 'w'],
+  thickness: ['thickness', 'thick', 't'],
+  quantity: ['quantity', 'qty', 'count', 'pcs', 'amount', 'n'],
+  material: ['material', 'stock', 'mat']
+};
+
+// Tabs when pasted from a spreadsheet, otherwise whichever of ; and , the first line uses more
+const detectDelimiter = (line) => {
+  if (line.includes('\t')) return '\t';
+  return (line.match(/;/g) || []).length > (line.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Split one line into cells; cells may be quoted ("" is a quote inside a quoted cell)
+const splitRow = (line, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Column of a header cell, or null
+const getHeaderColumn = (cell) => {
+  const name = cell.toLowerCase().replace(/\(.*\)|\[.*\]/g, '').trim();
+  return Object.keys(headerNames).find(column => headerNames[column].includes(name)) || null;
+};
+
+// Numbers may use a decimal comma and a unit ("12,5", "800 mm")
+const parseNumber = (value) => parseFloat((value || '').replace(',', '.'));
+
+// Parse a cut list. Returns the valid rows and the number of lines that were
+// skipped because a size or the quantity is missing or not a positive number.
+export const parseCutList = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) return { rows: [], skipped: 0 };
+
+  const delimiter = detectDelimiter(lines[0]);
+  let header = null;
+  const headerColumns = splitRow(lines[0], delimiter).map(getHeaderColumn);
+  if (headerColumns.includes('length')) {
+    header = headerColumns;
+    lines.shift();
+  }
+
+  const rows = [];
+  let skipped = 0;
+  lines.forEach(line => {
+    const cells = splitRow(line, delimiter);
+    // Without a header, rows that start with a number have no name
+    const columns = header || (/^\d+([.,]\d+)?\s*(mm)?$/i.test(cells[0]) ? CUT_LIST_COLUMNS.slice(1) : CUT_LIST_COLUMNS);
+    const value = (column) => {
+      const index = columns.indexOf(column);
+      return index >= 0 ? cells[index] : undefined;
+    };
+    const length = parseNumber(value('length'));
+    const width = parseNumber(value('width'));
+    const thickness = parseNumber(value('thickness'));
+    // An empty quantity means one piece
+    const quantity = value('quantity') ? Math.round(parseNumber(value('quantity'))) : 1;
+
+    if (![length, width, thickness, quantity].every(n => n > 0)) {
+      skipped++;
+      return;
+    }
+    rows.push({
+      name: value('name') || `Part ${rows.length + 1}`,
+      length,
+      width,
+      thickness,
+      quantity,
+      material: value('material') || ''
+    });
+  });
+  return { rows, skipped };
+};
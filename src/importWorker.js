@@ -0,0 +1,14 @@
+// Web Worker that converts STL, glTF/GLB and 3MF files to OBJ text off the UI
+// thread. It reports progress per file and is cancelled by terminating it.
+import { convertModelFiles } from './modelImport';
+
+self.onmessage = async ({ data }) => {
+  try {
+    const source = await convertModelFiles(data.files, progress => {
+      self.postMessage({ type: 'progress', phase: 'converting', progress });
+    });
+    self.postMessage({ type: 'done', source });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
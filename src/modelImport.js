@@ -0,0 +1,223 @@
+// Import of STL, glTF/GLB and 3MF models. They are converted to OBJ text, so
+// the rest of the app (piece list, cutting plan, 3D viewer, saved projects)
+// keeps working on OBJ content only. The conversion runs in the import worker
+// (see importWorker.js), so nothing here may need the page (DOM).
+import * as THREE from 'three';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { unzipSync, strFromU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+export const MODEL_EXTENSIONS = ['.obj', '.stl', '.gltf', '.glb', '.3mf'];
+
+// Units of formats that do not name one: STL is usually written in
+// millimeters, glTF is always in meters
+const formatUnits = { stl: 'mm', gltf: 'm', glb: 'm' };
+
+// Model units of the unit attribute of a 3MF model (millimeters when it has
+// none) with the factor to get there; there is no micron model unit
+const threeMFUnits = {
+  micron: { unit: 'mm', scale: 0.001 },
+  millimeter: { unit: 'mm', scale: 1 },
+  centimeter: { unit: 'cm', scale: 1 },
+  inch: { unit: 'in', scale: 1 },
+  foot: { unit: 'ft', scale: 1 },
+  meter: { unit: 'm', scale: 1 }
+};
+
+// Written as "# Units" comment so the unit detection of OBJ files picks it up
+const unitComments = { mm: 'millimeters', cm: 'centimeters', m: 'meters', in: 'inches', ft: 'feet' };
+
+export const getExtension = (fileName) => fileName.toLowerCase().split('.').pop();
+
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// Meshes of a loaded scene with their world transform applied, named after
+// the mesh or its nearest named parent node
+const collectMeshes = (root, fallbackName, getName = node => node.name) => {
+  const meshes = [];
+  root.updateMatrixWorld(true);
+  root.traverse(node => {
+    if (!node.isMesh) return;
+    let named = node;
+    while (named && !getName(named)) named = named.parent;
+    const geometry = node.geometry.clone();
+    geometry.applyMatrix4(node.matrixWorld);
+    meshes.push({ name: named ? getName(named) : fallbackName, geometry });
+  });
+  return meshes;
+};
+
+// Attributes of an XML start tag, e.g. ' id="1" name="Leg"'
+const readAttributes = (tag) => {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = (doubleQuoted ?? singleQuoted)
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+  }
+  return attributes;
+};
+
+// 3MF transform ("m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32", row vectors)
+const parseTransform = (transform) => {
+  const t = transform ? transform.trim().split(/\s+/).map(Number) : null;
+  return t && t.length === 12
+    ? new THREE.Matrix4().set(t[0], t[3], t[6], t[9], t[1], t[4], t[7], t[10], t[2], t[5], t[8], t[11], 0, 0, 0, 1)
+    : new THREE.Matrix4();
+};
+
+// Meshes of a 3MF file (a zip with an XML model). The XML is read with plain
+// patterns because the page's DOMParser, which the three.js loader needs, is
+// not available in workers. Every build item is placed with its transform;
+// meshes are named after the nearest named object. Returns { unit, meshes }.
+const load3MFMeshes = (data, fallbackName) => {
+  const zip = unzipSync(new Uint8Array(data));
+  const rels = zip['_rels/.rels'] ? strFromU8(zip['_rels/.rels']) : '';
+  const modelTarget = [...rels.matchAll(/<Relationship\b([^>]*)>/g)]
+    .map(([, tag]) => readAttributes(tag).Target)
+    .find(target => target && target.toLowerCase().endsWith('.model'));
+  const modelPath = modelTarget
+    ? modelTarget.replace(/^\//, '')
+    : Object.keys(zip).find(path => /^3D\/[^/]*\.model$/i.test(path));
+  if (!modelPath || !zip[modelPath]) throw new Error('No 3D model found in this 3MF file');
+  const xml = strFromU8(zip[modelPath]);
+  const modelTag = xml.match(/<model\b([^>]*)>/);
+  const unitName = (modelTag && readAttributes(modelTag[1]).unit) || 'millimeter';
+  const units = threeMFUnits[unitName];
+  if (!units) throw new Error(`Unknown unit "${unitName}" in this 3MF file`);
+
+  const objects = {};
+  for (const [, tag, content] of xml.matchAll(/<object\b([^>]*)>([\s\S]*?)<\/object>/g)) {
+    const { id, name } = readAttributes(tag);
+    const vertices = [...content.matchAll(/<vertex\b([^>]*)>/g)].flatMap(([, attributes]) => {
+      const { x, y, z } = readAttributes(attributes);
+      return [Number(x), Number(y), Number(z)];
+    });
+    const triangles = [...content.matchAll(/<triangle\b([^>]*)>/g)].flatMap(([, attributes]) => {
+      const { v1, v2, v3 } = readAttributes(attributes);
+      return [Number(v1), Number(v2), Number(v3)];
+    });
+    const components = [...content.matchAll(/<component\b([^>]*)>/g)].map(([, attributes]) => {
+      const { objectid, transform } = readAttributes(attributes);
+      return { objectId: objectid, matrix: parseTransform(transform) };
+    });
+    objects[id] = { name, vertices, triangles, components };
+  }
+
+  const meshes = [];
+  const addObject = (objectId, matrix, parentName) => {
+    const object = objects[objectId];
+    if (!object) return;
+    const name = object.name || parentName;
+    if (object.triangles.length > 0) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(object.vertices, 3));
+      geometry.setIndex(object.triangles);
+      geometry.applyMatrix4(matrix);
+      if (units.scale !== 1) geometry.scale(units.scale, units.scale, units.scale);
+      meshes.push({ name: name || fallbackName, geometry });
+    }
+    object.components.forEach(component => {
+      addObject(component.objectId, matrix.clone().multiply(component.matrix), name);
+    });
+  };
+  const build = xml.match(/<build\b[^>]*>([\s\S]*?)<\/build>/);
+  for (const [, tag] of (build ? build[1] : '').matchAll(/<item\b([^>]*)>/g)) {
+    const { objectid, transform } = readAttributes(tag);
+    addObject(objectid, parseTransform(transform), null);
+  }
+  return { unit: units.unit, meshes };
+};
+
+// Meshes of one file, in the file's own units: { unit, meshes }
+const loadMeshes = async (file) => {
+  const extension = getExtension(file.name);
+  const name = baseName(file.name);
+
+  if (extension === 'stl') {
+    // One STL file is one piece, named after the file
+    const geometry = new STLLoader().parse(await file.arrayBuffer());
+    return { unit: formatUnits.stl, meshes: [{ name, geometry }] };
+  }
+  if (extension === 'gltf' || extension === 'glb') {
+    const data = extension === 'gltf' ? await file.text() : await file.arrayBuffer();
+    if (extension === 'gltf') {
+      // Only the selected file is read, so buffers and images next to it cannot be loaded
+      const { buffers = [], images = [] } = JSON.parse(data);
+      if ([...buffers, ...images].some(({ uri }) => uri && !uri.startsWith('data:'))) {
+        throw new Error(`${file.name} keeps its data in separate files. Export the model as .glb (binary glTF), which holds everything in one file`);
+      }
+    }
+    const gltf = await new GLTFLoader().parseAsync(data, '');
+    // Use the node names of the file, not the names the loader makes up for unnamed nodes
+    const { associations, json } = gltf.parser;
+    const getNodeName = (node) => {
+      const association = associations.get(node);
+      return association && association.nodes !== undefined ? json.nodes[association.nodes].name : null;
+    };
+    return { unit: formatUnits[extension], meshes: collectMeshes(gltf.scene, name, getNodeName) };
+  }
+  if (extension === '3mf') {
+    return load3MFMeshes(await file.arrayBuffer(), name);
+  }
+  throw new Error(`Unsupported model format: ${file.name}`);
+};
+
+// OBJ text for a list of meshes: one object per mesh, positions welded
+const meshesToOBJ = (meshes, header) => {
+  const lines = [...header];
+  let vertexOffset = 0;
+
+  meshes.forEach(({ name, geometry }) => {
+    // Drop normals and texture coordinates so shared corners are merged
+    const positionsOnly = new THREE.BufferGeometry();
+    positionsOnly.setAttribute('position', geometry.getAttribute('position'));
+    if (geometry.index) positionsOnly.setIndex(geometry.index);
+    const welded = mergeVertices(positionsOnly);
+    const position = welded.getAttribute('position');
+    const index = welded.index;
+
+    lines.push(`o ${name}`);
+    for (let i = 0; i < position.count; i++) {
+      // Positions are 32 bit floats, more digits would only be noise
+      const coords = [position.getX(i), position.getY(i), position.getZ(i)].map(c => Number(c.toPrecision(7)));
+      lines.push(`v ${coords.join(' ')}`);
+    }
+    const triangleCount = index ? index.count / 3 : position.count / 3;
+    for (let t = 0; t < triangleCount; t++) {
+      const [a, b, c] = [0, 1, 2].map(k => (index ? index.getX(t * 3 + k) : t * 3 + k) + vertexOffset + 1);
+      lines.push(`f ${a} ${b} ${c}`);
+    }
+    vertexOffset += position.count;
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// Convert STL, glTF/GLB and 3MF files to one OBJ model. Several files can be
+// combined, e.g. one STL per part. Files of one import must share their units.
+// `onProgress` gets the share of the files read.
+export const convertModelFiles = async (files, onProgress = null) => {
+  const loaded = [];
+  for (const [index, file] of files.entries()) {
+    if (onProgress) onProgress(index / files.length);
+    loaded.push({ file, ...await loadMeshes(file) });
+  }
+  const { unit } = loaded[0];
+  if (loaded.some(result => result.unit !== unit)) {
+    const fileUnits = loaded.map(result => `${result.file.name} in ${unitComments[result.unit]}`).join(', ');
+    throw new Error(`Files in different units (${fileUnits}) cannot be imported together`);
+  }
+
+  const meshes = loaded.flatMap(result => result.meshes);
+  if (meshes.length === 0) {
+    throw new Error('No meshes found in the selected files');
+  }
+
+  const header = [
+    `# Converted by Plankulator from ${files.map(file => file.name).join(', ')}`,
+    `# Units ${unitComments[unit]}`,
+    ''
+  ];
+  return meshesToOBJ(meshes, header);
+};
@@ -0,0 +1,36 @@
+// Main thread side of the model and import workers. Every load runs in its own
+// worker, which is terminated when the load is done or cancelled.
+import { startWorkerTask } from './workerTask';
+
+// Start a load in the given worker
+const startWorker = (worker, message, onProgress) =>
+  startWorkerTask(worker, message, onProgress, {
+    errorMessage: 'The model could not be read',
+    cancelMessage: 'Model loading was cancelled'
+  });
+
+// Parse and measure a model (an OBJ File or OBJ text). Without a piece
+// statement the file decides between objects and groups. `onProgress` gets
+// { phase: 'reading' | 'measuring', progress: 0..1 }. `promise` resolves to
+// { pieceStatement, materialLibraries, objects }.
+export const loadModel = (source, pieceStatement = null, onProgress = null) => {
+  const worker = new Worker(new URL('./modelWorker.js', import.meta.url), { type: 'module' });
+  const load = startWorker(worker, { source, pieceStatement }, onProgress);
+  return {
+    promise: load.promise.then(data => ({
+      pieceStatement: data.pieceStatement,
+      materialLibraries: data.materialLibraries,
+      objects: data.objects
+    })),
+    cancel: load.cancel
+  };
+};
+
+// Convert STL, glTF/GLB and 3MF files to one OBJ model (see convertModelFiles).
+// `onProgress` gets { phase: 'converting', progress: 0..1 }. `promise`
+// resolves to the OBJ text.
+export const convertModel = (files, onProgress = null) => {
+  const worker = new Worker(new URL('./importWorker.js', import.meta.url), { type: 'module' });
+  const load = startWorker(worker, { files }, onProgress);
+  return { promise: load.promise.then(data => data.source), cancel: load.cancel };
+};
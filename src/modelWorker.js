@@ -0,0 +1,109 @@
+// Web Worker that reads, parses and measures a model off the UI thread, so
+// large files keep the page responsive. It reports progress while it works
+// and is cancelled by terminating it. The result is shared by the planner
+// (sizes, materials, shape checks) and the 3D viewer (triangles).
+import { createOBJParser } from './objParser';
+import { getOrientedBoundingBox } from './boundingBox';
+import { analyzeShape } from './shapeAnalysis';
+
+// Size of the pieces a file is read in
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// At most one progress message per this many ms
+const PROGRESS_INTERVAL = 100;
+
+let lastProgress = 0;
+const reportProgress = (phase, progress, force = false) => {
+  const now = Date.now();
+  if (!force && now - lastProgress < PROGRESS_INTERVAL) return;
+  lastProgress = now;
+  self.postMessage({ type: 'progress', phase, progress });
+};
+
+// Feed a File (read in chunks) or a string to the parser
+const readSource = async (source, parser) => {
+  if (typeof source === 'string') {
+    for (let offset = 0; offset < source.length; offset += CHUNK_SIZE) {
+      parser.push(source.slice(offset, offset + CHUNK_SIZE));
+      reportProgress('reading', Math.min(1, (offset + CHUNK_SIZE) / source.length));
+    }
+    return;
+  }
+  const decoder = new TextDecoder();
+  for (let offset = 0; offset < source.size; offset += CHUNK_SIZE) {
+    const buffer = await source.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    parser.push(decoder.decode(buffer, { stream: true }));
+    reportProgress('reading', Math.min(1, (offset + CHUNK_SIZE) / source.size));
+  }
+  parser.push(decoder.decode());
+};
+
+// Triangles of a piece (fan triangulation of its polygons) as flat x, y, z
+// positions in model units, ready for a BufferGeometry
+const triangulate = (piece) => {
+  const triangleCount = piece.faces.reduce((sum, face) => sum + face.length - 2, 0);
+  const positions = new Float32Array(triangleCount * 9);
+  let offset = 0;
+  piece.faces.forEach(face => {
+    for (let i = 1; i < face.length - 1; i++) {
+      for (const index of [face[0], face[i], face[i + 1]]) {
+        positions.set(piece.vertices[index], offset);
+        offset += 3;
+      }
+    }
+  });
+  return positions;
+};
+
+// Axis-aligned bounds of a piece in model units, for placing it in the 3D view
+const getBounds = (vertices) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const v of vertices) {
+    for (let i = 0; i < 3; i++) {
+      if (v[i] < min[i]) min[i] = v[i];
+      if (v[i] > max[i]) max[i] = v[i];
+    }
+  }
+  return { min, max };
+};
+
+// Size of a piece from its minimal oriented bounding box (the true size of the
+// board, with the box axes and center for placing it), the axis-aligned size
+// in the model, and its shape checks
+const measurePiece = (piece) => {
+  const box = getOrientedBoundingBox(piece.vertices);
+  // Flag pieces that are not plain boxes (miters, tapers, holes, curves)
+  const shape = analyzeShape(piece.vertices, piece.faces, box.axes, [box.x, box.y, box.z]);
+  return {
+    name: piece.name,
+    materialName: piece.materialName,
+    dims: { x: box.x, y: box.y, z: box.z, axes: box.axes, center: box.center, rotated: box.rotated, aligned: box.aligned },
+    shapeIssues: shape.issues,
+    bounds: getBounds(piece.vertices),
+    positions: triangulate(piece)
+  };
+};
+
+self.onmessage = async ({ data }) => {
+  const { source, pieceStatement } = data;
+  try {
+    const parser = createOBJParser();
+    await readSource(source, parser);
+    const { pieceStatement: statement, materialLibraries, pieces } = parser.finish(pieceStatement);
+
+    const objects = pieces.map((piece, i) => {
+      reportProgress('measuring', i / pieces.length);
+      return measurePiece(piece);
+    });
+    reportProgress('measuring', 1, true);
+
+    // Hand the triangle buffers over instead of copying them
+    self.postMessage(
+      { type: 'done', pieceStatement: statement, materialLibraries, objects },
+      objects.map(object => object.positions.buffer)
+    );
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
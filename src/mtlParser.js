@@ -0,0 +1,30 @@
+// MTL (material library) parser. OBJ files name their libraries with `mtllib`
+// and pick a material per face with `usemtl`; only the diffuse colors are read,
+// to show the model materials in the 3D view.
+
+// Parse the diffuse colors (Kd) of an MTL file into { materialName: '#rrggbb' }
+export const parseMTL = (content) => {
+  const colors = {};
+  let currentName = null;
+
+  for (let line of content.split('\n')) {
+    line = line.trim();
+
+    if (line.startsWith('newmtl ')) {
+      currentName = line.substring(7).trim();
+    } else if (line.startsWith('Kd ') && currentName) {
+      const [r, g, b] = line.substring(3).trim().split(/\s+/).map(n => parseFloat(n));
+      if ([r, g, b].every(c => !isNaN(c))) {
+        colors[currentName] = '#' + [r, g, b]
+          .map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0'))
+          .join('');
+      }
+    }
+  }
+
+  return colors;
+};
+
+// File name of a material library as written after `mtllib` (which may hold a
+// relative path), for matching it against the name of an uploaded file
+export const getLibraryFileName = (library) => library.split(/[\\/]/).pop().toLowerCase();
@@ -0,0 +1,140 @@
+// OBJ parser shared by the cutting planner and the 3D viewer, so both work on
+// the same list of pieces. A piece is started by an `o` (object) or a `g`
+// (group) statement, whichever the user picked; faces before the first one
+// form an unnamed piece. Handles negative (relative) indices and \r\n endings.
+//
+// The parser is streaming: text is pushed in chunks of any size (lines may be
+// split between chunks), so large files never have to be held as one string.
+
+// Create a parser. Push text with `push(chunk)`, then call `finish(pieceStatement)`
+// to get the pieces. Without a piece statement the file decides: objects if it
+// has any, otherwise groups.
+export const createOBJParser = () => {
+  // Flat lists keep memory low on dense meshes: vertex coordinates as x, y, z
+  // and faces as runs of vertex indices with their object, group and material
+  const vertices = [];
+  const faceStarts = [];
+  const faceIndices = [];
+  const faceObjects = [];
+  const faceGroups = [];
+  const faceMaterials = [];
+  const objectNames = [];
+  const groupNames = [];
+  const materialNames = [];
+  const materialLibraries = [];
+  let object = -1;
+  let group = -1;
+  let material = -1;
+  let partialLine = '';
+
+  const parseLine = (line) => {
+    line = line.trim();
+    const keyword = line.split(/\s/, 1)[0];
+    const rest = line.substring(keyword.length).trim();
+
+    if (keyword === 'v') {
+      const coords = rest.split(/\s+/, 3).map(n => parseFloat(n));
+      if (coords.length === 3 && coords.every(c => !isNaN(c))) {
+        vertices.push(coords[0], coords[1], coords[2]);
+      }
+    } else if (keyword === 'o') {
+      object = objectNames.push(rest) - 1;
+    } else if (keyword === 'g') {
+      group = groupNames.push(rest) - 1;
+    } else if (keyword === 'mtllib') {
+      // One or more library files, usually next to the OBJ file
+      rest.split(/\s+/).filter(Boolean).forEach(library => {
+        if (!materialLibraries.includes(library)) materialLibraries.push(library);
+      });
+    } else if (keyword === 'usemtl') {
+      material = rest ? materialNames.push(rest) - 1 : -1;
+    } else if (keyword === 'f') {
+      // v, v/vt, v//vn or v/vt/vn; negative indices count back from the last vertex
+      const vertexCount = vertices.length / 3;
+      const face = rest.split(/\s+/).map(vertex => {
+        const index = parseInt(vertex.split('/')[0]);
+        return index < 0 ? vertexCount + index : index - 1;
+      });
+      if (face.length < 3 || face.some(i => isNaN(i) || i < 0 || i >= vertexCount)) return;
+
+      faceStarts.push(faceIndices.length);
+      faceIndices.push(...face);
+      faceObjects.push(object);
+      faceGroups.push(group);
+      faceMaterials.push(material);
+    }
+  };
+
+  const push = (text) => {
+    const lines = (partialLine + text).split(/\r?\n/);
+    partialLine = lines.pop();
+    lines.forEach(parseLine);
+  };
+
+  // Every piece has a name, the first material (usemtl) used by its faces, its
+  // vertices ([x, y, z] in model units) and its faces as polygons of indices
+  // into its own vertex list. Pieces without faces are left out. The material
+  // libraries (mtllib) of the file are returned with the pieces.
+  const finish = (pieceStatement = null) => {
+    parseLine(partialLine);
+    partialLine = '';
+
+    const statement = pieceStatement || (objectNames.length > 0 || groupNames.length === 0 ? 'o' : 'g');
+    const [names, facePieces] = statement === 'o' ? [objectNames, faceObjects] : [groupNames, faceGroups];
+
+    // Unnamed pieces are numbered in file order, starting with faces before the first statement
+    let unnamedCount = 0;
+    const leadingName = facePieces.includes(-1) ? `Unnamed ${++unnamedCount}` : null;
+    const pieceNames = names.map(name => name || `Unnamed ${++unnamedCount}`);
+
+    const pieces = new Map();
+    facePieces.forEach((pieceIndex, f) => {
+      if (!pieces.has(pieceIndex)) {
+        pieces.set(pieceIndex, {
+          name: pieceIndex === -1 ? leadingName : pieceNames[pieceIndex],
+          materialName: null,
+          vertices: [],
+          faces: [],
+          localIndex: new Map()
+        });
+      }
+      const piece = pieces.get(pieceIndex);
+      if (!piece.materialName && faceMaterials[f] !== -1) piece.materialName = materialNames[faceMaterials[f]];
+
+      // Give every piece its own vertex list with only the vertices it uses
+      const end = f + 1 < faceStarts.length ? faceStarts[f + 1] : faceIndices.length;
+      const face = [];
+      for (let k = faceStarts[f]; k < end; k++) {
+        const index = faceIndices[k];
+        if (!piece.localIndex.has(index)) {
+          piece.localIndex.set(index, piece.vertices.length);
+          piece.vertices.push([vertices[index * 3], vertices[index * 3 + 1], vertices[index * 3 + 2]]);
+        }
+        face.push(piece.localIndex.get(index));
+      }
+      piece.faces.push(face);
+    });
+
+    // Pieces in the order they appear in the file
+    const ordered = [...pieces.keys()].sort((a, b) => a - b).map(key => pieces.get(key));
+    return {
+      pieceStatement: statement,
+      materialLibraries,
+      pieces: ordered.map(({ name, materialName, vertices: pieceVertices, faces }) => ({
+        name,
+        materialName,
+        vertices: pieceVertices,
+        faces
+      }))
+    };
+  };
+
+  return { push, finish };
+};
+
+// Parse a whole OBJ text at once
+export const parseOBJ = (content, pieceStatement = null) => {
+  const parser = createOBJParser();
+  parser.push(content);
+  return parser.finish(pieceStatement);
+};
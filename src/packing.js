@@ -0,0 +1,342 @@
+// Guillotine / free-rectangle packing used by the cutting planner.
+// All dimensions are in mm. Saw kerf is handled by growing every piece and
+// the stock by one kerf, so pieces never touch and no kerf is charged at the
+// stock edges.
+
+// Lexicographic comparison of two score tuples (lower is better)
+const compareScores = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+// Rectangle helpers
+const intersects = (a, b) =>
+  a.x < b.x + b.length && a.x + a.length > b.x &&
+  a.y < b.y + b.width && a.y + a.width > b.y;
+
+const contains = (a, b) =>
+  b.x >= a.x && b.y >= a.y &&
+  b.x + b.length <= a.x + a.length && b.y + b.width <= a.y + a.width;
+
+// Split rectangle `rect` into the parts that lie outside of `cut`
+const subtractRect = (rect, cut) => {
+  if (!intersects(rect, cut)) return [rect];
+
+  const parts = [];
+  const rectRight = rect.x + rect.length;
+  const rectBottom = rect.y + rect.width;
+  const cutRight = cut.x + cut.length;
+  const cutBottom = cut.y + cut.width;
+
+  if (cut.x > rect.x) {
+    parts.push({ x: rect.x, y: rect.y, length: cut.x - rect.x, width: rect.width });
+  }
+  if (cutRight < rectRight) {
+    parts.push({ x: cutRight, y: rect.y, length: rectRight - cutRight, width: rect.width });
+  }
+  const innerX = Math.max(rect.x, cut.x);
+  const innerLength = Math.min(rectRight, cutRight) - innerX;
+  if (cut.y > rect.y) {
+    parts.push({ x: innerX, y: rect.y, length: innerLength, width: cut.y - rect.y });
+  }
+  if (cutBottom < rectBottom) {
+    parts.push({ x: innerX, y: cutBottom, length: innerLength, width: rectBottom - cutBottom });
+  }
+  return parts;
+};
+
+// Scoring rules for choosing a free rectangle
+const scorePlacement = (rule, rect, length, width) => {
+  const leftoverLength = rect.length - length;
+  const leftoverWidth = rect.width - width;
+
+  switch (rule) {
+    case 'bottom-left':
+      // Keep pieces towards the start of the stock so the offcut stays in one piece
+      return [rect.x, rect.y, Math.min(leftoverLength, leftoverWidth)];
+    case 'best-short-side':
+      return [Math.min(leftoverLength, leftoverWidth), Math.max(leftoverLength, leftoverWidth)];
+    case 'best-area':
+    default:
+      return [rect.length * rect.width - length * width, Math.min(leftoverLength, leftoverWidth)];
+  }
+};
+
+// Guillotine split of a free rectangle after placing a piece at its origin.
+// 'rip' keeps the leftover width as a full-length strip (rip first, then crosscut),
+// 'crosscut' keeps the leftover length at full width.
+const guillotineSplit = (rect, length, width, split) => {
+  let rule = split;
+  if (rule === 'shorter-leftover') {
+    rule = (rect.length - length) <= (rect.width - width) ? 'rip' : 'crosscut';
+  }
+
+  const right = rule === 'rip'
+    ? { x: rect.x + length, y: rect.y, length: rect.length - length, width }
+    : { x: rect.x + length, y: rect.y, length: rect.length - length, width: rect.width };
+  const bottom = rule === 'rip'
+    ? { x: rect.x, y: rect.y + width, length: rect.length, width: rect.width - width }
+    : { x: rect.x, y: rect.y + width, length, width: rect.width - width };
+
+  return [right, bottom].filter(r => r.length > 0 && r.width > 0);
+};
+
+// Create an empty piece of stock.
+// options.mode: 'guillotine' (panel saw / plank) or 'free' (CNC, maximal rectangles)
+// options.split: guillotine split rule ('rip', 'crosscut' or 'shorter-leftover')
+// options.heuristic: 'bottom-left', 'best-area' or 'best-short-side'
+export const createBin = (length, width, kerf = 0, options = {}) => ({
+  length,
+  width,
+  kerf,
+  mode: options.mode || 'guillotine',
+  split: options.split || 'rip',
+  heuristic: options.heuristic || 'bottom-left',
+  placements: [],
+  freeRects: [{ x: 0, y: 0, length: length + kerf, width: width + kerf }]
+});
+
+// Deep copy of a bin so placements can be tried without touching the original
+export const cloneBin = (bin) => ({
+  ...bin,
+  placements: bin.placements.map(p => ({ ...p })),
+  freeRects: bin.freeRects.map(r => ({ ...r }))
+});
+
+// Find the best spot for an item ({ length, width, allowRotation }) or null if it does not fit
+export const findPlacement = (bin, item) => {
+  const candidates = [{ length: item.length, width: item.width, rotated: false }];
+  if (item.allowRotation && item.length !== item.width) {
+    candidates.push({ length: item.width, width: item.length, rotated: true });
+  }
+
+  let best = null;
+  bin.freeRects.forEach((rect, rectIndex) => {
+    candidates.forEach(candidate => {
+      const length = candidate.length + bin.kerf;
+      const width = candidate.width + bin.kerf;
+      if (length > rect.length || width > rect.width) return;
+
+      const score = scorePlacement(bin.heuristic, rect, length, width);
+      if (!best || compareScores(score, best.score) < 0) {
+        best = { rectIndex, x: rect.x, y: rect.y, ...candidate, score };
+      }
+    });
+  });
+
+  return best;
+};
+
+// Commit a placement returned by findPlacement
+export const placeItem = (bin, item, placement) => {
+  const used = {
+    x: placement.x,
+    y: placement.y,
+    length: placement.length + bin.kerf,
+    width: placement.width + bin.kerf
+  };
+
+  if (bin.mode === 'free') {
+    // Maximal rectangles: split every free rectangle the piece overlaps, then prune
+    const split = bin.freeRects.flatMap(rect => subtractRect(rect, used));
+    bin.freeRects = split.filter((rect, i) =>
+      !split.some((other, j) => j !== i && contains(other, rect) &&
+        (!contains(rect, other) || j < i))
+    );
+  } else {
+    const rect = bin.freeRects[placement.rectIndex];
+    bin.freeRects.splice(placement.rectIndex, 1,
+      ...guillotineSplit(rect, used.length, used.width, bin.split));
+  }
+
+  const placed = {
+    item,
+    x: placement.x,
+    y: placement.y,
+    length: placement.length,
+    width: placement.width,
+    rotated: placement.rotated
+  };
+  bin.placements.push(placed);
+  return placed;
+};
+
+// Try to place an item, returning the placement or null
+export const tryPlaceItem = (bin, item) => {
+  const placement = findPlacement(bin, item);
+  return placement ? placeItem(bin, item, placement) : null;
+};
+
+// Length consumed from the start of the stock (the rest is one clean offcut)
+export const getUsedLength = (bin) =>
+  bin.placements.reduce((max, p) => Math.max(max, p.x + p.length), 0);
+
+// Area covered by pieces
+export const getUsedArea = (bin) =>
+  bin.placements.reduce((sum, p) => sum + p.length * p.width, 0);
+
+// Non-overlapping offcut rectangles in real (kerf-free) dimensions
+export const getOffcuts = (bin, minSize = 1) => {
+  let queue = bin.freeRects
+    .map(r => ({ x: r.x, y: r.y, length: r.length - bin.kerf, width: r.width - bin.kerf }))
+    .filter(r => r.length >= minSize && r.width >= minSize);
+  const offcuts = [];
+
+  while (queue.length > 0) {
+    queue.sort((a, b) => b.length * b.width - a.length * a.width);
+    const largest = queue.shift();
+    offcuts.push(largest);
+    queue = queue
+      .flatMap(r => subtractRect(r, largest))
+      .filter(r => r.length >= minSize && r.width >= minSize);
+  }
+
+  return offcuts.sort((a, b) => a.x - b.x || a.y - b.y);
+};
+
+// Pieces per material up to which the exact solver is used
+export const EXACT_SOLVER_LIMIT = 12;
+
+// Node budget for the branch-and-bound search so the UI never stalls
+const EXACT_NODE_LIMIT = 20000;
+
+// Area an item takes up in a bin, kerf included
+const getItemArea = (bin, item) => (item.length + bin.kerf) * (item.width + bin.kerf);
+
+const getBinArea = (bin) => (bin.length + bin.kerf) * (bin.width + bin.kerf);
+
+const getFreeArea = (bin) =>
+  getBinArea(bin) - bin.placements.reduce((sum, p) => sum + (p.length + bin.kerf) * (p.width + bin.kerf), 0);
+
+const isSameItem = (a, b) =>
+  a.length === b.length && a.width === b.width && a.allowRotation === b.allowRotation;
+
+// First-fit decreasing: every item goes into the first open bin it fits in
+const packFirstFit = (items, createEmptyBin) => {
+  const bins = [];
+  items.forEach(item => {
+    for (const bin of bins) {
+      if (tryPlaceItem(bin, item)) return;
+    }
+    const bin = createEmptyBin();
+    if (tryPlaceItem(bin, item)) bins.push(bin);
+  });
+  return bins;
+};
+
+// Best-fit decreasing: every item goes into the fullest open bin it fits in
+const packBestFit = (items, createEmptyBin) => {
+  const bins = [];
+  items.forEach(item => {
+    let bestBin = null;
+    let bestPlacement = null;
+    let bestScore = null;
+    bins.forEach(bin => {
+      const placement = findPlacement(bin, item);
+      if (!placement) return;
+      const score = [getFreeArea(bin) - getItemArea(bin, item), ...placement.score];
+      if (!bestScore || compareScores(score, bestScore) < 0) {
+        bestBin = bin;
+        bestPlacement = placement;
+        bestScore = score;
+      }
+    });
+
+    if (bestBin) {
+      placeItem(bestBin, item, bestPlacement);
+      return;
+    }
+    const bin = createEmptyBin();
+    if (tryPlaceItem(bin, item)) bins.push(bin);
+  });
+  return bins;
+};
+
+// Exact bin assignment by branch and bound, seeded with the best-fit solution.
+// Placement inside a bin still uses the bin heuristic, so for full-width planks
+// the result is optimal and for 2D layouts it is optimal over bin assignments.
+// Returns { bins, hitLimit }: when the search ran out of nodes the bins are the
+// best found so far and may not be optimal.
+const packExact = (items, createEmptyBin) => {
+  let best = packBestFit(items, createEmptyBin);
+  const emptyBin = createEmptyBin();
+  const binArea = getBinArea(emptyBin);
+
+  // Area still to be placed from index i onwards
+  const remainingArea = new Array(items.length + 1).fill(0);
+  for (let i = items.length - 1; i >= 0; i--) {
+    remainingArea[i] = remainingArea[i + 1] + getItemArea(emptyBin, items[i]);
+  }
+  const lowerBound = Math.ceil(remainingArea[0] / binArea);
+
+  const assignedBin = [];
+  let nodes = 0;
+
+  const search = (index, bins) => {
+    if (best.length <= lowerBound || ++nodes > EXACT_NODE_LIMIT) return;
+    if (index === items.length) {
+      if (bins.length < best.length) best = bins;
+      return;
+    }
+
+    // Prune when even perfectly filling the open bins cannot beat the best solution
+    const freeArea = bins.reduce((sum, bin) => sum + getFreeArea(bin), 0);
+    const extraBins = Math.ceil(Math.max(0, remainingArea[index] - freeArea) / binArea);
+    if (bins.length + extraBins >= best.length) return;
+
+    const item = items[index];
+    // Identical items are interchangeable: never put one before its predecessor
+    const firstBin = index > 0 && isSameItem(items[index - 1], item) ? assignedBin[index - 1] : 0;
+
+    for (let b = firstBin; b < bins.length; b++) {
+      const placement = findPlacement(bins[b], item);
+      if (!placement) continue;
+      const nextBins = bins.slice();
+      nextBins[b] = cloneBin(bins[b]);
+      placeItem(nextBins[b], item, placement);
+      assignedBin[index] = b;
+      search(index + 1, nextBins);
+    }
+
+    if (bins.length + 1 < best.length) {
+      const bin = createEmptyBin();
+      if (tryPlaceItem(bin, item)) {
+        assignedBin[index] = bins.length;
+        search(index + 1, [...bins, bin]);
+      }
+    }
+  };
+
+  search(0, []);
+  return { bins: best, hitLimit: nodes > EXACT_NODE_LIMIT };
+};
+
+// Pack items (already sorted, largest first) into as few bins as possible.
+// strategy: 'first-fit', 'best-fit' or 'exact' (falls back to best-fit for large jobs)
+// Returns { bins, unplaced, hitLimit }: items too large for an empty bin are
+// unplaced, and hitLimit tells that the exact solver stopped at its node limit.
+export const packItems = (items, createEmptyBin, strategy = 'exact') => {
+  let bins;
+  let hitLimit = false;
+  if (strategy === 'exact' && items.length <= EXACT_SOLVER_LIMIT) {
+    ({ bins, hitLimit } = packExact(items, createEmptyBin));
+  } else if (strategy === 'first-fit') {
+    bins = packFirstFit(items, createEmptyBin);
+  } else {
+    bins = packBestFit(items, createEmptyBin);
+  }
+  const placed = new Set(bins.flatMap(bin => bin.placements.map(placement => placement.item)));
+  return { bins, unplaced: items.filter(item => !placed.has(item)), hitLimit };
+};
+
+// Shorten a bin to a shorter stock length after packing, e.g. to buy a
+// shorter plank. Pieces must already end before the new length.
+export const resizeBin = (bin, length) => {
+  bin.length = length;
+  bin.freeRects = bin.freeRects
+    .map(r => ({ ...r, length: Math.min(r.length, length + bin.kerf - r.x) }))
+    .filter(r => r.length > 0);
+  return bin;
+};
@@ -0,0 +1,68 @@
+// Grouping of identical model pieces. Pieces are compared by their sorted
+// sizes, so a part and its mirrored or rotated copy (800×300 and 300×800)
+// land in one group, and sizes may differ by a tolerance to absorb modelling
+// noise (599.9 vs 600). Groups can also be split or merged by hand with
+// overrides: pieces with the same override label always form one group.
+
+export const DEFAULT_GROUP_TOLERANCE = 0.5;
+
+// Sizes of a piece from largest to smallest
+const sortedSizes = (piece) => [piece.length, piece.width, piece.thickness].sort((a, b) => b - a);
+
+// Group pieces ({ name, length, width, thickness, objMaterial, shapeIssues,
+// objectId, quantity, ... }). A piece with a quantity stands for that many
+// copies (e.g. of a sub-assembly that is built several times). Pieces with
+// different model materials or shape issues stay apart. Each piece is compared
+// with the first piece of a group, so groups do not creep by chaining near
+// matches. `overrides` maps object ids to group labels.
+export const groupPieces = (pieces, tolerance, overrides = {}) => {
+  const groups = [];
+  pieces.forEach(piece => {
+    const label = overrides[piece.objectId] ?? null;
+    const sizes = sortedSizes(piece);
+    const traits = [piece.objMaterial, ...piece.shapeIssues].filter(Boolean).join(' | ');
+    const group = label !== null
+      ? groups.find(g => g.label === label)
+      : groups.find(g => g.label === null && g.traits === traits &&
+          g.sizes.every((size, i) => Math.abs(size - sizes[i]) <= tolerance + 1e-9));
+    if (group) {
+      group.members.push(piece);
+    } else {
+      groups.push({ label, traits, sizes, members: [piece] });
+    }
+  });
+  return groups.map(buildGroup);
+};
+
+// A group takes the orientation of its first piece and the largest size of
+// its members in every direction, so every member can be cut from it
+const buildGroup = ({ label, members }) => {
+  const [first] = members;
+  const firstSizes = [first.length, first.width, first.thickness];
+  const axesBySize = [0, 1, 2].sort((a, b) => firstSizes[b] - firstSizes[a]);
+
+  const largest = [0, 0, 0];
+  const smallest = [Infinity, Infinity, Infinity];
+  members.forEach(member => sortedSizes(member).forEach((size, rank) => {
+    if (size > largest[rank]) largest[rank] = size;
+    if (size < smallest[rank]) smallest[rank] = size;
+  }));
+  const dims = [...firstSizes];
+  axesBySize.forEach((axis, rank) => { dims[axis] = largest[rank]; });
+
+  const { objectId, quantity, ...shared } = first;
+  return {
+    ...shared,
+    length: dims[0],
+    width: dims[1],
+    thickness: dims[2],
+    shapeIssues: [...new Set(members.flatMap(member => member.shapeIssues))],
+    groupId: `model-${objectId}`,
+    count: members.reduce((sum, member) => sum + (member.quantity ?? 1), 0),
+    pieces: members.flatMap(member => Array(member.quantity ?? 1).fill(member.name)),
+    objectIds: members.map(member => member.objectId),
+    // Largest difference between members in any direction (mm)
+    sizeSpread: Math.round(Math.max(...largest.map((size, rank) => size - smallest[rank])) * 10) / 10,
+    groupedByHand: label !== null
+  };
+};
@@ -0,0 +1,24 @@
+// Main thread side of the plan worker. Every plan runs in its own worker,
+// which is terminated when the plan is done or cancelled.
+import { startWorkerTask } from './workerTask';
+
+// Send a task to a new plan worker. `promise` resolves to the task result.
+const startPlanWorker = (message, onProgress) => {
+  const worker = new Worker(new URL('./planWorker.js', import.meta.url), { type: 'module' });
+  const task = startWorkerTask(worker, message, onProgress, {
+    errorMessage: 'The cutting plan could not be calculated',
+    cancelMessage: 'Planning was cancelled'
+  });
+  return { promise: task.promise.then(data => data.result), cancel: task.cancel };
+};
+
+// Plan the piece groups with the given stock, glue-up settings and remnants
+// (see planProject in planner.js). `onProgress` gets { phase: 'orienting' |
+// 'assigning' | 'packing', progress: 0..1 }. Resolves to { pieces, comparison }.
+export const runPlan = ({ groups, materials, glueUp, remnants }, onProgress = null) =>
+  startPlanWorker({ task: 'plan', groups, materials, glueUp, remnants }, onProgress);
+
+// Pack pieces that already have their material and orientation with one
+// strategy (see generateCuttingPlan). Resolves to { planks, outOfStock }.
+export const runPacking = ({ pieces, materials, strategy, remnants }) =>
+  startPlanWorker({ task: 'pack', pieces, materials, strategy, remnants }, null);
@@ -0,0 +1,30 @@
+// Web Worker that calculates cutting plans off the UI thread. The material
+// search and the exact solver can take seconds on large projects; the page
+// stays responsive meanwhile. It reports progress while it works and is
+// cancelled by terminating it.
+import { planProject, generateCuttingPlan } from './planner';
+
+// At most one progress message per this many ms
+const PROGRESS_INTERVAL = 100;
+
+let lastProgress = 0;
+const reportProgress = ({ phase, progress }) => {
+  const now = Date.now();
+  if (now - lastProgress < PROGRESS_INTERVAL) return;
+  lastProgress = now;
+  self.postMessage({ type: 'progress', phase, progress });
+};
+
+self.onmessage = ({ data }) => {
+  const { task, materials, remnants } = data;
+  try {
+    // 'plan' starts from the piece groups, 'pack' only packs pieces that are
+    // already oriented and assigned to materials
+    const result = task === 'plan'
+      ? planProject(data.groups, materials, { glueUp: data.glueUp, remnants }, reportProgress)
+      : generateCuttingPlan(data.pieces, materials, data.strategy, remnants);
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
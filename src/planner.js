@@ -0,0 +1,747 @@
+// Cutting plan calculation: piece orientation, material choice and packing of
+// the pieces onto the stock. Everything here is plain data in, plain data out,
+// so it runs in the plan worker (see planWorker.js) as well as on the page.
+import { createBin, packItems, tryPlaceItem, getUsedLength, getUsedArea, getOffcuts, resizeBin, EXACT_SOLVER_LIMIT } from './packing';
+
+// Upper bounds on trial plans and on time (ms) when searching for the cheapest
+// material assignment
+const MAX_ASSIGNMENT_EVALUATIONS = 400;
+const MAX_ASSIGNMENT_TIME = 5000;
+
+// Packing strategies offered for every cutting plan
+export const packingStrategies = [
+  { strategy: 'first-fit', label: 'First-fit decreasing' },
+  { strategy: 'best-fit', label: 'Best-fit decreasing' },
+  { strategy: 'exact', label: 'Exact (branch and bound)' }
+];
+
+// Model axis that has to run along the grain (0 = X, 1 = Y, 2 = Z), or null if the
+// piece has no grain requirement. 'auto' follows the longest model dimension.
+export const getGrainAxis = (piece) => {
+  const grain = piece.grain || 'auto';
+  if (grain === 'none') return null;
+  if (grain === 'auto') {
+    const dims = [piece.length, piece.width, piece.thickness];
+    return dims.indexOf(Math.max(...dims));
+  }
+  return ['x', 'y', 'z'].indexOf(grain);
+};
+
+// Milling allowances of a material (rough-sawn stock is planed and jointed to
+// the finished size, and the checked ends of every board are trimmed off)
+const getMillingAllowances = (material) => ({
+  thickness: material.thicknessAllowance || 0,
+  width: material.widthAllowance || 0,
+  length: material.lengthAllowance || 0,
+  endTrim: material.endTrim || 0
+});
+
+// Split a piece that is too thick or too wide for every material into laminated
+// layers (thickness) and edge-glued strips (width). Parts get the glue-up
+// oversize in every split direction and in length, so the glued blank can be
+// flattened and trimmed to its finished size. Returns the part group, or null
+// when no material is long enough.
+const splitForGlueUp = (piece, materials, oversize) => {
+  const dims = [piece.length, piece.width, piece.thickness];
+  const grainAxis = getGrainAxis(piece);
+  const lengthAxis = grainAxis !== null ? grainAxis : dims.indexOf(Math.max(...dims));
+  const [axisA, axisB] = [0, 1, 2].filter(axis => axis !== lengthAxis);
+  
+  // Part size, rounded up to 0.1mm, plus oversize
+  const splitSize = (size, parts) => parts > 1 ? Math.ceil(size / parts * 10) / 10 + oversize : size;
+  
+  // Number of parts needed so that every part (rounded, plus oversize) is at most max
+  const partsNeeded = (size, max) => {
+    if (size <= max) return 1;
+    if (max - oversize < 0.1) return Infinity;
+    let parts = Math.ceil(size / (max - oversize));
+    while (splitSize(size, parts) > max) parts++;
+    return parts;
+  };
+  
+  let best = null;
+  materials.forEach(material => {
+    const allowance = getMillingAllowances(material);
+    const maxLength = getStockLengths(material)[0].length - 2 * allowance.endTrim - allowance.length;
+    
+    // The thicker of the two cross-section dimensions can become either width or thickness
+    [[axisA, axisB], [axisB, axisA]].forEach(([thickAxis, widthAxis]) => {
+      const layers = partsNeeded(dims[thickAxis], material.thickness - allowance.thickness);
+      const strips = partsNeeded(dims[widthAxis], material.width - allowance.width);
+      if (!isFinite(layers * strips) || dims[lengthAxis] + oversize > maxLength) return;
+      if (!best || layers * strips < best.layers * best.strips) {
+        best = { thickAxis, widthAxis, layers, strips };
+      }
+    });
+  });
+  if (!best || best.layers * best.strips === 1) return null;
+  
+  const partDims = [...dims];
+  partDims[best.thickAxis] = splitSize(dims[best.thickAxis], best.layers);
+  partDims[best.widthAxis] = splitSize(dims[best.widthAxis], best.strips);
+  partDims[lengthAxis] += oversize;
+  const partsPerPiece = best.layers * best.strips;
+  
+  return {
+    ...piece,
+    name: `${piece.name} (glue-up part)`,
+    length: partDims[0],
+    width: partDims[1],
+    thickness: partDims[2],
+    count: piece.count * partsPerPiece,
+    pieces: (piece.pieces || []).flatMap(name =>
+      Array.from({ length: partsPerPiece }, (_, i) => `${name} part ${i + 1}`)
+    ),
+    glueUp: {
+      source: { name: piece.name, length: piece.length, width: piece.width, thickness: piece.thickness, count: piece.count, pieces: piece.pieces },
+      layers: best.layers,
+      strips: best.strips
+    }
+  };
+};
+
+// Undo the glue-up split of a piece group, e.g. before planning again
+export const restoreGlueUpParent = (group) => {
+  if (!group.glueUp) return group;
+  const { glueUp: split, ...rest } = group;
+  return { ...rest, ...split.source };
+};
+
+// Smart piece orientation with automatic material selection
+const optimizePieceOrientation = (pieces, materials, glueUpOptions) => {
+  return pieces.map(piece => {
+    const { length, width, thickness } = piece;
+    const originalDims = [length, width, thickness];
+    const grainAxis = getGrainAxis(piece);
+    
+    // Pieces whose model material is mapped to a stock row only use that stock
+    const forcedMaterial = piece.forcedMaterialId != null
+      ? materials.find(m => m.id === piece.forcedMaterialId)
+      : null;
+    const allowedMaterials = forcedMaterial ? [forcedMaterial] : materials;
+    
+    // Best orientation in every material the piece fits in
+    let candidates = [];
+    let blockedByGrain = false;
+    
+    // Try each material to find the best fit
+    for (const material of allowedMaterials) {
+      const allowance = getMillingAllowances(material);
+      const maxLength = getStockLengths(material)[0].length - 2 * allowance.endTrim;
+      
+      // Pieces with a grain requirement must run along the grain of grained stock
+      const grainLocked = material.grain !== 'none' && grainAxis !== null;
+      
+      // Find all possible orientations that could fit in this material
+      // (axes = which model dimension ends up as cut length, width and thickness)
+      const orientations = [
+        { cut: length, width: width, thick: thickness, axes: [0, 1, 2], label: `${length}(cut) × ${width} × ${thickness}` },
+        { cut: length, width: thickness, thick: width, axes: [0, 2, 1], label: `${length}(cut) × ${thickness} × ${width}` },
+        { cut: width, width: length, thick: thickness, axes: [1, 0, 2], label: `${width}(cut) × ${length} × ${thickness}` },
+        { cut: width, width: thickness, thick: length, axes: [1, 2, 0], label: `${width}(cut) × ${thickness} × ${length}` },
+        { cut: thickness, width: length, thick: width, axes: [2, 0, 1], label: `${thickness}(cut) × ${length} × ${width}` },
+        { cut: thickness, width: width, thick: length, axes: [2, 1, 0], label: `${thickness}(cut) × ${width} × ${length}` }
+      ];
+      
+      // Filter orientations that physically fit in this material
+      // (parts on a sheet may also be turned on the sheet, unless that crosses the grain)
+      const fittingOrientations = orientations.filter(orient => {
+        const fits = orient.cut + allowance.length <= maxLength && 
+                    orient.width + allowance.width <= material.width && 
+                    orient.thick + allowance.thickness <= material.thickness;
+        const fitsTurned = material.stockType === 'sheet' && !grainLocked &&
+                    orient.cut + allowance.length <= material.width &&
+                    orient.width + allowance.width <= maxLength &&
+                    orient.thick + allowance.thickness <= material.thickness;
+        return fits || fitsTurned;
+      });
+      
+      // Exclude orientations that would put the grain across the piece
+      const validOrientations = grainLocked
+        ? fittingOrientations.filter(orient => orient.axes[0] === grainAxis)
+        : fittingOrientations;
+      if (fittingOrientations.length > 0 && validOrientations.length === 0) {
+        blockedByGrain = true;
+      }
+      
+      if (validOrientations.length > 0) {
+        // Choose the orientation that minimizes cutting length for this material
+        const bestOrientationForMaterial = validOrientations.reduce((best, current) => 
+          current.cut < best.cut ? current : best
+        );
+        
+        // Calculate efficiency score
+        const cuttingLength = bestOrientationForMaterial.cut;
+        const thicknessWaste = material.thickness - bestOrientationForMaterial.thick - allowance.thickness;
+        const widthWaste = material.width - bestOrientationForMaterial.width - allowance.width;
+        
+        // Weighted score: heavily favor better thickness fit
+        const score = cuttingLength + (thicknessWaste * 100) + (widthWaste * 0.1);
+        
+        candidates.push({
+          materialId: material.id,
+          cut: bestOrientationForMaterial.cut,
+          width: bestOrientationForMaterial.width,
+          thick: bestOrientationForMaterial.thick,
+          axes: bestOrientationForMaterial.axes,
+          label: bestOrientationForMaterial.label,
+          grainLocked,
+          score
+        });
+      }
+    }
+    
+    // The best scoring material is the starting point for the global assignment
+    candidates.sort((a, b) => a.score - b.score);
+    
+    if (candidates.length === 0) {
+      // Opt-in glue-up: laminate or edge-glue parts that do fit
+      if (glueUpOptions.enabled && !blockedByGrain && !piece.glueUp) {
+        const parts = splitForGlueUp(piece, allowedMaterials, glueUpOptions.oversize);
+        if (parts) return optimizePieceOrientation([parts], materials, glueUpOptions)[0];
+      }
+      
+      return {
+        ...piece,
+        cuttingLength: length,
+        finalWidth: width,
+        finalThickness: thickness,
+        orientation: 'ERROR',
+        canFit: false,
+        material: null,
+        grainAxis,
+        grainLocked: false,
+        candidates,
+        fitIssue: blockedByGrain
+          ? `Only fits with the grain across its ${'XYZ'[grainAxis]} dimension`
+          : forcedMaterial
+            ? `Does not fit ${forcedMaterial.name}, the stock its model material is mapped to`
+            : piece.glueUp
+              ? 'Glue-up parts do not fit any available material'
+              : 'Cannot fit in any available material',
+        originalDims
+      };
+    }
+    
+    return applyMaterialCandidate({
+      ...piece,
+      canFit: true,
+      grainAxis,
+      candidates,
+      fitIssue: null,
+      originalDims
+    }, candidates[0], materials);
+  });
+};
+
+// Put a piece group onto one of its candidate materials. The rough dimensions
+// include the milling allowances of that material and are what gets cut.
+const applyMaterialCandidate = (piece, candidate, materials) => {
+  const material = materials.find(m => m.id === candidate.materialId);
+  const allowance = getMillingAllowances(material);
+  return {
+    ...piece,
+    cuttingLength: candidate.cut,
+    finalWidth: candidate.width,
+    finalThickness: candidate.thick,
+    roughLength: candidate.cut + allowance.length,
+    roughWidth: candidate.width + allowance.width,
+    roughThickness: candidate.thick + allowance.thickness,
+    orientation: candidate.label,
+    // Model dimensions (0 = length, 1 = width, 2 = thickness) that become the
+    // cut length, width and thickness
+    orientationAxes: candidate.axes,
+    grainLocked: candidate.grainLocked,
+    material
+  };
+};
+
+// Combine piece groups that were split up by the material assignment
+export const mergePieceGroups = (groups, keepMaterials = false) => {
+  const merged = [];
+  const byKey = {};
+  groups.forEach(group => {
+    if (!group.groupId) {
+      merged.push(group);
+      return;
+    }
+    const key = keepMaterials
+      ? `${group.groupId}|${group.material?.id}|${group.orientation}`
+      : group.groupId;
+    if (byKey[key]) {
+      byKey[key].count += group.count;
+      byKey[key].pieces = [...(byKey[key].pieces || []), ...(group.pieces || [])];
+    } else {
+      byKey[key] = { ...group, pieces: [...(group.pieces || [])] };
+      merged.push(byKey[key]);
+    }
+  });
+  return merged;
+};
+
+// Score of a plan when comparing material assignments: pieces left without stock
+// first, then total price when every material involved has one, otherwise the
+// plank count; waste area breaks ties
+const getAssignmentScore = ({ planks: plan, outOfStock }, usePrices) => [
+  outOfStock.reduce((sum, o) => sum + o.count, 0),
+  usePrices
+    ? plan.reduce((sum, plank) => sum + getPlankPrice(plank), 0)
+    : plan.filter(plank => !plank.remnantId).length,
+  plan.reduce((sum, plank) => sum + plank.length * plank.width - plank.usedArea, 0)
+];
+
+// Improve the per-piece material choice for the whole project. Starting from the
+// best scoring material of every group, groups (or single pieces of a group) are
+// moved to another suitable material whenever that makes the whole plan cheaper,
+// e.g. to fill the leftover of a plank that is needed anyway. The search stops
+// after MAX_ASSIGNMENT_EVALUATIONS trial plans or MAX_ASSIGNMENT_TIME, whichever
+// comes first. `onProgress` gets the share of that budget used up.
+const optimizeMaterialAssignment = (optimizedPieces, materials, availableRemnants, onProgress = null) => {
+  if (!optimizedPieces.some(p => p.canFit && p.candidates.length > 1)) return optimizedPieces;
+  
+  const candidateIds = new Set(optimizedPieces.flatMap(p => p.canFit ? p.candidates.map(c => c.materialId) : []));
+  const usePrices = materials.filter(m => candidateIds.has(m.id))
+    .every(m => getStockLengths(m).every(stock => stock.price > 0));
+  // Moves often lead back to an assignment that was planned before (e.g. single
+  // pieces moved one after the other), so scores are kept per assignment
+  const scores = new Map();
+  const getAssignmentKey = (assignment) => assignment
+    .map(p => `${p.groupId ?? p.name}|${p.material?.id}|${p.orientation}|${p.count}`)
+    .sort()
+    .join('\n');
+  const evaluate = (assignment) => {
+    const key = getAssignmentKey(assignment);
+    if (!scores.has(key)) {
+      evaluations++;
+      scores.set(key, getAssignmentScore(generateCuttingPlan(assignment, materials, 'best-fit', availableRemnants), usePrices));
+    }
+    return scores.get(key);
+  };
+  const isBetter = (a, b) => {
+    for (let i = 0; i < a.length; i++) {
+      if (Math.abs(a[i] - b[i]) > 1e-6) return a[i] < b[i];
+    }
+    return false;
+  };
+  
+  const startTime = Date.now();
+  let evaluations = 0;
+  const budgetUsed = () => Math.max(evaluations / MAX_ASSIGNMENT_EVALUATIONS, (Date.now() - startTime) / MAX_ASSIGNMENT_TIME);
+  
+  let current = optimizedPieces;
+  let currentScore = evaluate(current);
+  let improved = true;
+  
+  while (improved && budgetUsed() < 1) {
+    improved = false;
+    
+    for (let i = 0; i < current.length && !improved; i++) {
+      const piece = current[i];
+      if (!piece.canFit) continue;
+      
+      for (const candidate of piece.candidates) {
+        if (candidate.materialId === piece.material.id) continue;
+        
+        const before = current.slice(0, i);
+        const after = current.slice(i + 1);
+        const moves = [
+          // Move the whole group
+          [...before, applyMaterialCandidate(piece, candidate, materials), ...after]
+        ];
+        if (piece.count > 1) {
+          // Move a single piece of the group
+          moves.push([
+            ...before,
+            { ...piece, count: piece.count - 1, pieces: (piece.pieces || []).slice(1) },
+            ...after,
+            applyMaterialCandidate({ ...piece, count: 1, pieces: (piece.pieces || []).slice(0, 1) }, candidate, materials)
+          ]);
+        }
+        
+        for (const move of moves) {
+          const score = evaluate(move);
+          if (onProgress) onProgress(Math.min(1, budgetUsed()));
+          if (isBetter(score, currentScore)) {
+            current = mergePieceGroups(move, true);
+            currentScore = score;
+            improved = true;
+            break;
+          }
+        }
+        if (improved || budgetUsed() >= 1) break;
+      }
+    }
+  }
+  
+  return current;
+};
+
+// Packing setup per stock type: planks keep pieces along their length, sheets
+// are nested with rotated parts, either guillotine-only (panel saw) or free (CNC)
+const getPackingOptions = (material) => {
+  if (material.stockType === 'sheet') {
+    return material.nesting === 'free'
+      ? { mode: 'free', heuristic: 'best-short-side', allowRotation: true }
+      : { mode: 'guillotine', split: 'shorter-leftover', heuristic: 'best-area', allowRotation: true };
+  }
+  return { mode: 'guillotine', split: 'crosscut', heuristic: 'bottom-left', allowRotation: false };
+};
+
+// Display name for a piece of stock
+export const getStockLabel = (material) => material.stockType === 'sheet' ? 'Sheet' : 'Plank';
+
+// All lengths a material can be bought in (the main length plus any extra
+// lengths, each with its own price), longest first
+const getStockLengths = (material) => [
+  { length: material.length, price: material.pricePerUnit },
+  ...(material.extraLengths || []).filter(stock => stock.length > 0)
+].sort((a, b) => b.length - a.length);
+
+// Price paid for one plank of a plan (remnants from the rack are free)
+const getPlankPrice = (plank) => plank.remnantId
+  ? 0
+  : (plank.price ?? plank.material.pricePerUnit) || 0;
+
+// Pack the pieces of one material: remnants first, then new stock up to the
+// available quantity. Pieces that do not fit into the available stock are
+// returned as overflow; hitNodeLimit tells that the exact solver stopped early.
+const packMaterialUnits = (material, units, strategy, availableRemnants) => {
+  const packingOptions = getPackingOptions(material);
+  // Pieces of projects saved before milling allowances have no rough size
+  const roughLength = (piece) => piece.roughLength ?? piece.cuttingLength;
+  const roughWidth = (piece) => piece.roughWidth ?? piece.finalWidth;
+  const sortedUnits = [...units];
+  
+  // Sort pieces descending for better packing: planks by cutting length, sheets by area
+  if (material.stockType === 'sheet') {
+    sortedUnits.sort((a, b) => roughLength(b.piece) * roughWidth(b.piece) - roughLength(a.piece) * roughWidth(a.piece) ||
+      Math.max(roughLength(b.piece), roughWidth(b.piece)) - Math.max(roughLength(a.piece), roughWidth(a.piece)));
+  } else {
+    sortedUnits.sort((a, b) => roughLength(b.piece) - roughLength(a.piece) || roughWidth(b.piece) - roughWidth(a.piece));
+  }
+
+  // One packing item per physical piece, cut at its rough size
+  const items = sortedUnits.map(unit => ({
+    length: roughLength(unit.piece),
+    width: roughWidth(unit.piece),
+    allowRotation: packingOptions.allowRotation && !unit.piece.grainLocked,
+    piece: unit.piece,
+    unit
+  }));
+
+  // Remnants from the rack are used first, smallest first so big ones stay available
+  const remnantBins = availableRemnants
+    .filter(r => isRemnantOfMaterial(r, material))
+    .sort((a, b) => a.length * a.width - b.length * b.width)
+    .map(remnant => ({
+      remnant,
+      bin: createBin(remnant.length, remnant.width, material.sawKerf, packingOptions)
+    }));
+  const newStockItems = items.filter(item =>
+    !remnantBins.some(({ bin }) => tryPlaceItem(bin, item))
+  );
+
+  // Pack onto each purchasable length in turn, then buy every plank in the
+  // cheapest length its pieces fit on (the shortest one when not all lengths
+  // have a price). Keep the mixture with the lowest cost or waste.
+  // New boards lose their checked ends, so only the trimmed length is packed.
+  const endTrim = getMillingAllowances(material).endTrim;
+  const stockLengths = getStockLengths(material);
+  const usePrices = stockLengths.every(stock => stock.price > 0);
+  const stockScore = (stock) => usePrices ? stock.price : stock.length;
+  // Lengths that leave pieces unplaced (too long for them) only win when no length takes them all
+  let bins = null;
+  let unplaced = [];
+  let bestScore = Infinity;
+  let hitNodeLimit = false;
+  stockLengths.forEach(base => {
+    const { bins: packed, unplaced: packedUnplaced, hitLimit } = packItems(
+      newStockItems,
+      () => createBin(Math.max(0, base.length - 2 * endTrim), material.width, material.sawKerf, packingOptions),
+      strategy
+    );
+    if (bins && packedUnplaced.length > unplaced.length) return;
+    
+    packed.forEach(bin => {
+      const usedLength = getUsedLength(bin);
+      const stock = stockLengths
+        .filter(s => s.length - 2 * endTrim >= usedLength)
+        .sort((a, b) => stockScore(a) - stockScore(b) || a.length - b.length)[0];
+      resizeBin(bin, stock.length - 2 * endTrim);
+      bin.stock = stock;
+      bin.endTrim = endTrim;
+    });
+    const score = packed.reduce((sum, bin) => sum + stockScore(bin.stock), 0);
+    if (!bins || packedUnplaced.length < unplaced.length || score < bestScore) {
+      bins = packed;
+      unplaced = packedUnplaced;
+      bestScore = score;
+      hitNodeLimit = hitLimit;
+    }
+  });
+
+  // Limited stock: keep the fullest planks and re-pack the pieces of the rest
+  // into the space left on them, largest first. What still has no place overflows.
+  // Pieces that fit no board of this material overflow as well.
+  unplaced.forEach(item => { item.unit.tooLarge = true; });
+  let overflowItems = unplaced;
+  if (material.quantity !== null && material.quantity !== undefined && bins.length > material.quantity) {
+    const byFill = [...bins].sort((a, b) => getUsedArea(b) - getUsedArea(a));
+    const kept = new Set(byFill.slice(0, Math.max(0, material.quantity)));
+    const dropped = bins.filter(bin => !kept.has(bin)).flatMap(bin => bin.placements.map(p => p.item));
+    dropped.forEach(item => { item.unit.tooLarge = false; });
+    bins = bins.filter(bin => kept.has(bin));
+    overflowItems = [...dropped, ...unplaced]
+      .sort((a, b) => b.length * b.width - a.length * a.width)
+      .filter(item => !bins.some(bin => tryPlaceItem(bin, item)));
+  }
+  const overflow = overflowItems.map(item => item.unit);
+
+  return {
+    material,
+    bins: [
+      ...remnantBins.filter(({ bin }) => bin.placements.length > 0),
+      ...bins.map(bin => ({ remnant: null, bin }))
+    ],
+    overflow,
+    hitNodeLimit
+  };
+};
+
+// Generate cutting plan with smart orientation and multiple materials.
+// Each plank is packed in two dimensions (guillotine cuts only): it is crosscut
+// into sections, each section is ripped into strips and the strips are crosscut
+// again, so narrow pieces sit side by side across the plank width.
+// Returns the planks plus the pieces that did not fit into the available stock,
+// and whether the exact solver stopped at its node limit for any material.
+export const generateCuttingPlan = (pieces, materials, strategy, availableRemnants) => {
+  // One unit per physical piece, remembering which materials it already ran out of
+  let units = pieces.filter(p => p.canFit).flatMap(piece =>
+    Array.from({ length: piece.count }, () => ({ piece, source: piece, triedMaterialIds: [], tooLargeMaterialIds: [] }))
+  );
+  const outOfStockUnits = [];
+  let packedMaterials = [];
+
+  // When a material runs out, its overflow falls back to the next suitable material.
+  // Every round each overflowing piece moves to a material it has not tried yet
+  // or runs out of stock, so the rounds end.
+  while (true) {
+    packedMaterials = materials
+      .map(material => {
+        const materialUnits = units.filter(unit => unit.piece.material.id === material.id);
+        return materialUnits.length > 0
+          ? packMaterialUnits(material, materialUnits, strategy, availableRemnants)
+          : null;
+      })
+      .filter(Boolean);
+
+    const overflow = packedMaterials.flatMap(packed => packed.overflow);
+    if (overflow.length === 0) break;
+
+    overflow.forEach(unit => {
+      unit.triedMaterialIds.push(unit.piece.material.id);
+      if (unit.tooLarge) unit.tooLargeMaterialIds.push(unit.piece.material.id);
+      const next = (unit.source.candidates || []).find(c => !unit.triedMaterialIds.includes(c.materialId));
+      if (next) {
+        unit.piece = applyMaterialCandidate(unit.source, next, materials);
+      } else {
+        units = units.filter(u => u !== unit);
+        outOfStockUnits.push(unit);
+      }
+    });
+  }
+
+  let allPlanks = [];
+  let globalPlankNumber = 1;
+
+  packedMaterials.forEach(({ material, bins }) => {
+    bins.forEach(({ remnant, bin }) => {
+      // Positions are measured from the end of the board, before its end trim
+      const endTrim = bin.endTrim || 0;
+      const length = bin.length + 2 * endTrim;
+      let currentPlank = {
+        number: globalPlankNumber++,
+        material: material,
+        length,
+        width: bin.width,
+        remnantId: remnant ? remnant.id : null,
+        price: bin.stock ? bin.stock.price : null,
+        endTrim,
+        pieces: [],
+        usedLength: endTrim + getUsedLength(bin),
+        wasteLength: 0,
+        usedArea: getUsedArea(bin),
+        offcuts: getOffcuts(bin).map(offcut => ({ ...offcut, x: offcut.x + endTrim })),
+        materialDims: `${length} × ${bin.width} × ${material.thickness}mm`
+      };
+      currentPlank.wasteLength = length - currentPlank.usedLength;
+
+      // List pieces in cutting order, from the start of the plank
+      [...bin.placements]
+        .sort((a, b) => a.x - b.x || a.y - b.y)
+        .forEach(placed => {
+          const piece = placed.item.piece;
+          currentPlank.pieces.push({
+            name: piece.name,
+            cuttingLength: piece.cuttingLength,
+            finalWidth: piece.finalWidth,
+            finalThickness: piece.finalThickness,
+            roughLength: piece.roughLength,
+            roughWidth: piece.roughWidth,
+            roughThickness: piece.roughThickness,
+            orientation: piece.orientation,
+            orientationAxes: piece.orientationAxes || null,
+            originalDims: piece.originalDims,
+            alignedDims: piece.alignedDims || null,
+            shapeIssues: piece.shapeIssues || [],
+            material: piece.material,
+            grainLocked: piece.grainLocked,
+            groupId: piece.groupId,
+            glueUp: piece.glueUp ? {
+              parent: piece.glueUp.source.name,
+              parentDims: `${piece.glueUp.source.length}×${piece.glueUp.source.width}×${piece.glueUp.source.thickness}`,
+              layers: piece.glueUp.layers,
+              strips: piece.glueUp.strips
+            } : null,
+            id: `${piece.name}-${currentPlank.pieces.length + 1}`,
+            x: placed.x + endTrim,
+            y: placed.y,
+            placedLength: placed.length,
+            placedWidth: placed.width,
+            rotated: placed.rotated
+          });
+        });
+
+      allPlanks.push(currentPlank);
+    });
+  });
+
+  // Out-of-stock pieces, counted per piece group
+  const outOfStock = [];
+  outOfStockUnits.forEach(unit => {
+    const entry = outOfStock.find(o => o.piece === unit.source);
+    if (entry) {
+      entry.count++;
+    } else {
+      // Each tried material either had boards too small for the piece or ran out
+      const namesOf = (ids) => ids
+        .map(id => materials.find(m => m.id === id)?.name)
+        .filter(Boolean);
+      const tooSmall = namesOf(unit.tooLargeMaterialIds);
+      const usedUp = namesOf(unit.triedMaterialIds.filter(id => !unit.tooLargeMaterialIds.includes(id)));
+      const issues = [
+        tooSmall.length > 0 ? `Larger than the boards of ${tooSmall.join(', ')}` : null,
+        usedUp.length > 0 ? `${usedUp.join(', ')} ${usedUp.length > 1 ? 'are' : 'is'} used up` : null
+      ].filter(Boolean);
+      outOfStock.push({
+        piece: unit.source,
+        count: 1,
+        issue: tooSmall.length > 0 ? issues.join('; ') : `Out of stock: ${issues.join('; ')}`
+      });
+    }
+  });
+
+  return { planks: allPlanks, outOfStock, hitNodeLimit: packedMaterials.some(packed => packed.hitNodeLimit) };
+};
+
+// Remnants are filed by stock name and thickness so they carry over between projects
+export const isRemnantOfMaterial = (remnant, material) =>
+  remnant.materialName === material.name && remnant.thickness === material.thickness;
+
+// Warnings for pieces that don't fit any material or ran out of stock
+export const buildWarnings = (optimizedPieces, outOfStock = []) => [
+  ...optimizedPieces.filter(p => !p.canFit).map(p => ({
+    piece: p.name,
+    dims: `${p.length} × ${p.width} × ${p.thickness}mm`,
+    issue: p.fitIssue || 'Cannot fit in any available material'
+  })),
+  ...outOfStock.map(({ piece, count, issue }) => ({
+    piece: `${piece.name} (×${count})`,
+    dims: `${piece.length} × ${piece.width} × ${piece.thickness}mm`,
+    issue
+  }))
+];
+
+// Calculate plank efficiency (share of the plank area covered by pieces)
+export const calculateEfficiency = (plank) => {
+  return ((plank.usedArea / (plank.length * plank.width)) * 100).toFixed(1);
+};
+
+// Calculate efficiency across all planks of a plan
+export const calculateOverallEfficiency = (planks) => {
+  const totalArea = planks.reduce((sum, p) => sum + p.length * p.width, 0);
+  const usedArea = planks.reduce((sum, p) => sum + p.usedArea, 0);
+  return totalArea > 0 ? ((usedArea / totalArea) * 100).toFixed(1) : '0.0';
+};
+
+// New stock to buy, grouped by material and length
+export const getStockPurchases = (plan) => Object.values(plan.filter(plank => !plank.remnantId).reduce((acc, plank) => {
+  const key = `${plank.material.id}-${plank.length}`;
+  if (!acc[key]) {
+    acc[key] = { material: plank.material, length: plank.length, width: plank.width, price: getPlankPrice(plank), count: 0 };
+  }
+  acc[key].count++;
+  return acc;
+}, {})).sort((a, b) => a.material.name.localeCompare(b.material.name) || b.length - a.length);
+
+// Calculate total cost
+export const calculateTotalCost = (plan) => {
+  if (!plan || plan.length === 0) return null;
+  
+  // Remnants from the rack are free, every plank is priced by its length
+  const purchases = getStockPurchases(plan).filter(purchase => purchase.price > 0);
+  const totalCost = purchases.reduce((sum, purchase) => sum + purchase.price * purchase.count, 0);
+  
+  return purchases.length > 0 ? { total: totalCost, purchases } : null;
+};
+
+// Run every packing strategy on the same pieces so the plans can be compared.
+// `onProgress` gets the share of the strategies done.
+const comparePackingStrategies = (optimizedPieces, materials, availableRemnants, onProgress = null) => {
+  // Materials with too many pieces for the exact solver fall back to best-fit
+  const piecesPerMaterial = {};
+  optimizedPieces.filter(p => p.canFit).forEach(p => {
+    piecesPerMaterial[p.material.id] = (piecesPerMaterial[p.material.id] || 0) + p.count;
+  });
+  const tooLargeForExact = Object.values(piecesPerMaterial).some(count => count > EXACT_SOLVER_LIMIT);
+
+  return packingStrategies.map(({ strategy, label }, index) => {
+    if (onProgress) onProgress(index / packingStrategies.length);
+    const { planks: plan, outOfStock, hitNodeLimit } = generateCuttingPlan(optimizedPieces, materials, strategy, availableRemnants);
+    const totalArea = plan.reduce((sum, p) => sum + p.length * p.width, 0);
+    const usedArea = plan.reduce((sum, p) => sum + p.usedArea, 0);
+    return {
+      strategy,
+      label,
+      plan,
+      outOfStock,
+      plankCount: plan.filter(plank => !plank.remnantId).length,
+      wasteArea: totalArea - usedArea,
+      efficiency: calculateOverallEfficiency(plan),
+      cost: calculateTotalCost(plan)?.total ?? null,
+      hitNodeLimit,
+      note: [
+        strategy === 'exact' && tooLargeForExact
+          ? `Best-fit used for materials with more than ${EXACT_SOLVER_LIMIT} pieces`
+          : null,
+        hitNodeLimit ? 'Search stopped at its limit, so this plan may not be optimal' : null
+      ].filter(Boolean).join('. ') || null
+    };
+  });
+};
+
+// Orient the piece groups, assign them to materials and pack them with every
+// strategy. `onProgress` gets { phase: 'orienting' | 'assigning' | 'packing',
+// progress: 0..1 }. Returns the planned pieces and the strategy comparison.
+export const planProject = (groups, materials, { glueUp, remnants }, onProgress = null) => {
+  const report = (phase) => (progress) => {
+    if (onProgress) onProgress({ phase, progress });
+  };
+  // Smart orientation with multiple materials, then the cheapest assignment of
+  // pieces to materials across the whole project
+  report('orienting')(0);
+  const orientedPieces = optimizePieceOrientation(groups, materials, glueUp);
+  const pieces = optimizeMaterialAssignment(orientedPieces, materials, remnants, report('assigning'));
+  const comparison = comparePackingStrategies(pieces, materials, remnants, report('packing'));
+  return { pieces, comparison };
+};
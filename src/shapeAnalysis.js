@@ -0,0 +1,193 @@
+// Shape checks for imported pieces. The planner cuts every piece from its
+// bounding box, so pieces that are not plain boxes (mitered frame members,
+// tapered legs, curved aprons, parts with holes) are flagged for extra handling.
+// Vertices are [x, y, z] arrays, faces are polygons of vertex indices and
+// `axes` are the three unit axes of the piece's bounding box.
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Faces more than 0.2° off square to the box count as angled (a leg that tapers
+// by 5 mm over 700 mm is only 0.4° off)
+const SQUARE_LIMIT = Math.cos(0.2 * Math.PI / 180);
+const ANGLE_TOLERANCE = Math.sin(0.2 * Math.PI / 180);
+
+// Normals closer to the length axis than this are end cuts, the rest are sides
+const END_CUT_LIMIT = Math.sin(20 * Math.PI / 180);
+
+// Merge vertices at the same position so that faces share their edges
+const weldVertices = (vertices, faces) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of vertices) {
+    for (const c of v) {
+      if (c < min) min = c;
+      if (c > max) max = c;
+    }
+  }
+  const precision = Math.max(max - min, 1e-9) * 1e-6;
+
+  const indexByKey = new Map();
+  const positions = [];
+  const remap = vertices.map(v => {
+    const key = v.map(c => Math.round(c / precision)).join(',');
+    if (!indexByKey.has(key)) {
+      indexByKey.set(key, positions.length);
+      positions.push(v);
+    }
+    return indexByKey.get(key);
+  });
+  const welded = faces
+    .map(face => face.map(i => remap[i]).filter((i, k, all) => i !== all[(k + 1) % all.length]))
+    .filter(face => face.length >= 3);
+  return { vertices: positions, faces: welded };
+};
+
+// Area-weighted normal of a polygon (Newell's method) and its centroid
+const faceGeometry = (vertices, face) => {
+  const normal = [0, 0, 0];
+  const centroid = [0, 0, 0];
+  face.forEach((index, k) => {
+    const a = vertices[index];
+    const b = vertices[face[(k + 1) % face.length]];
+    normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+    normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+    normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    centroid[0] += a[0] / face.length;
+    centroid[1] += a[1] / face.length;
+    centroid[2] += a[2] / face.length;
+  });
+  const length = Math.sqrt(dot(normal, normal));
+  return {
+    area: length / 2,
+    normal: length > 0 ? normal.map(c => c / length) : normal,
+    centroid
+  };
+};
+
+// Closed surface: every edge is shared by exactly two faces
+const getEdges = (faces) => {
+  const edges = new Map();
+  faces.forEach(face => face.forEach((a, k) => {
+    const b = face[(k + 1) % face.length];
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    edges.set(key, (edges.get(key) || 0) + 1);
+  }));
+  return edges;
+};
+
+// Number of connected parts of the mesh
+const countComponents = (vertexCount, faces) => {
+  const parent = Array.from({ length: vertexCount }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  faces.forEach(face => face.forEach(i => { parent[find(i)] = find(face[0]); }));
+  const used = new Set(faces.flat());
+  return new Set([...used].map(find)).size;
+};
+
+// Enclosed volume of a closed mesh (divergence theorem over a fan triangulation)
+const meshVolume = (vertices, faces) => {
+  let volume = 0;
+  faces.forEach(face => {
+    const a = vertices[face[0]];
+    for (let k = 1; k < face.length - 1; k++) {
+      const b = vertices[face[k]];
+      const c = vertices[face[k + 1]];
+      volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) -
+        a[1] * (b[0] * c[2] - b[2] * c[0]) +
+        a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+    }
+  });
+  return Math.abs(volume);
+};
+
+// Angle in degrees, to 0.1°
+const degrees = (radians) => Math.round(radians * 1800 / Math.PI) / 10;
+
+// Analyze one piece with its bounding box axes and its size along them.
+// Returns the solid share of the box (null when the mesh is not closed), the
+// number of through holes and a list of readable issues.
+export const analyzeShape = (vertices, faces, axes, size) => {
+  const mesh = weldVertices(vertices, faces);
+  const issues = [];
+  if (mesh.faces.length === 0) return { solidRatio: null, holes: 0, issues };
+
+  // Closed meshes have a volume and a genus (number of through holes)
+  const edges = getEdges(mesh.faces);
+  const isClosed = [...edges.values()].every(count => count === 2);
+  let solidRatio = null;
+  let holes = 0;
+  if (isClosed) {
+    const boxVolume = size[0] * size[1] * size[2];
+    solidRatio = boxVolume > 0 ? Math.min(1, meshVolume(mesh.vertices, mesh.faces) / boxVolume) : null;
+
+    const usedVertices = new Set(mesh.faces.flat()).size;
+    const eulerCharacteristic = usedVertices - edges.size + mesh.faces.length;
+    const components = countComponents(mesh.vertices.length, mesh.faces);
+    holes = Math.max(0, Math.round((2 * components - eulerCharacteristic) / 2));
+  }
+
+  // Faces that are not square to the box, in box coordinates
+  const lengthAxis = size.indexOf(Math.max(...size));
+  const crossAxes = [0, 1, 2].filter(axis => axis !== lengthAxis);
+  const faceData = mesh.faces.map(face => faceGeometry(mesh.vertices, face));
+  const totalArea = faceData.reduce((sum, face) => sum + face.area, 0);
+  const angled = faceData
+    .filter(face => face.area > totalArea * 0.005)
+    .map(face => ({
+      ...face,
+      local: axes.map(axis => Math.abs(dot(face.normal, axis))),
+      along: dot(face.centroid, axes[lengthAxis])
+    }))
+    .filter(face => Math.max(...face.local) < SQUARE_LIMIT);
+
+  // Many different directions means curved surfaces rather than flat cuts
+  const directions = new Set(angled.map(face => face.normal.map(c => Math.round(c * 30)).join(',')));
+  if (directions.size > 8) {
+    issues.push('curved surfaces');
+  } else {
+    // Angled end cuts, by end of the piece
+    let minAlong = Infinity;
+    let maxAlong = -Infinity;
+    mesh.vertices.forEach(v => {
+      const along = dot(v, axes[lengthAxis]);
+      if (along < minAlong) minAlong = along;
+      if (along > maxAlong) maxAlong = along;
+    });
+    const middle = (minAlong + maxAlong) / 2;
+    const endCuts = angled.filter(face => face.local[lengthAxis] >= END_CUT_LIMIT);
+    const endAngles = [
+      endCuts.filter(face => face.along < middle),
+      endCuts.filter(face => face.along >= middle)
+    ].map(cuts => [...new Set(cuts.map(face => degrees(Math.acos(Math.min(1, face.local[lengthAxis])))))]);
+    const cutEnds = endAngles.filter(list => list.length > 0);
+    if (cutEnds.length === 2 && cutEnds[0].join() === cutEnds[1].join()) {
+      issues.push(`miter ${cutEnds[0].join('°/')}° at both ends`);
+    } else if (cutEnds.length === 2) {
+      issues.push(`miter ${cutEnds[0].join('°/')}° and ${cutEnds[1].join('°/')}° at the two ends`);
+    } else if (cutEnds.length === 1) {
+      issues.push(`miter ${cutEnds[0].join('°/')}° at one end`);
+    }
+
+    // Sides that run at an angle to the length (tapers) or across it (bevels)
+    const sides = angled.filter(face => face.local[lengthAxis] < END_CUT_LIMIT);
+    const tapers = [...new Set(sides
+      .filter(face => face.local[lengthAxis] > ANGLE_TOLERANCE)
+      .map(face => degrees(Math.asin(face.local[lengthAxis]))))];
+    if (tapers.length > 0) issues.push(`tapered ${tapers.join('°/')}°`);
+    const bevels = [...new Set(sides
+      .filter(face => face.local[lengthAxis] <= ANGLE_TOLERANCE)
+      .map(face => {
+        const [a, b] = crossAxes.map(axis => face.local[axis]);
+        return degrees(Math.atan2(Math.min(a, b), Math.max(a, b)));
+      }))];
+    if (bevels.length > 0) issues.push(`bevelled edge ${bevels.join('°/')}°`);
+  }
+
+  if (holes > 0) issues.push(holes === 1 ? '1 hole' : `${holes} holes`);
+  if (solidRatio !== null && solidRatio < 0.9) {
+    issues.push(`only ${Math.round(solidRatio * 100)}% of the box is solid`);
+  }
+  if (!isClosed) issues.push('mesh is not closed, volume unknown');
+
+  return { solidRatio, holes, issues };
+};
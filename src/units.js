@@ -0,0 +1,32 @@
+// Model units. Everything in the planner and the 3D viewer is in mm, so model
+// coordinates are multiplied by the size of one model unit in mm.
+
+export const lengthUnits = [
+  { unit: 'mm', label: 'Millimeters', mm: 1 },
+  { unit: 'cm', label: 'Centimeters', mm: 10 },
+  { unit: 'm', label: 'Meters', mm: 1000 },
+  { unit: 'in', label: 'Inches', mm: 25.4 },
+  { unit: 'ft', label: 'Feet', mm: 304.8 }
+];
+
+// Models without a units comment are assumed to be in meters
+export const DEFAULT_MODEL_UNIT = 'm';
+
+// Size of one model unit in mm
+export const getUnitScale = (unit) =>
+  (lengthUnits.find(u => u.unit === unit) || lengthUnits.find(u => u.unit === DEFAULT_MODEL_UNIT)).mm;
+
+// Names used by exporters in a "# Units" comment
+const unitNames = {
+  mm: 'mm', millimeter: 'mm', millimeters: 'mm', millimetre: 'mm', millimetres: 'mm',
+  cm: 'cm', centimeter: 'cm', centimeters: 'cm', centimetre: 'cm', centimetres: 'cm',
+  m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+  in: 'in', inch: 'in', inches: 'in',
+  ft: 'ft', foot: 'ft', feet: 'ft'
+};
+
+// Unit from a "# Units meters" style comment, or null when the file has none
+export const detectUnits = (content) => {
+  const match = content.match(/^[ \t]*#[ \t]*units?[ \t]*[:=]?[ \t]*([a-z]+)/im);
+  return match ? unitNames[match[1].toLowerCase()] || null : null;
+};
@@ -0,0 +1,40 @@
+// Main thread side of a worker task. Each task runs in its own worker, which
+// is terminated when the task is done, fails or is cancelled. Workers post
+// { type: 'progress', phase, progress }, then { type: 'done', ... } or
+// { type: 'error', message }.
+
+// Send a message to a worker and wait for its 'done' message. Returns the
+// running task: `promise` resolves to the message and rejects with an
+// AbortError when `cancel()` is called. `errorMessage` is used when the worker
+// itself fails, `cancelMessage` for the AbortError.
+export const startWorkerTask = (worker, message, onProgress, { errorMessage, cancelMessage }) => {
+  let rejectTask;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectTask = reject;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress({ phase: data.phase, progress: data.progress });
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') {
+        resolve(data);
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || errorMessage));
+    };
+  });
+
+  worker.postMessage(message);
+
+  const cancel = () => {
+    worker.terminate();
+    rejectTask(new DOMException(cancelMessage, 'AbortError'));
+  };
+  return { promise, cancel };
+};